@@ -13,7 +13,9 @@ fi
 # START tasks
 
 build() {
-  jvdx build --clean -f modern,cjs,esm --no-sourcemap
+  jvdx build --clean -f modern,cjs,esm --no-sourcemap \
+    --external @react-lit/helper,@react-lit/focus-scope \
+    src/index.js src/test-utils.js
 }
 
 format() {
@@ -29,6 +31,7 @@ test() {
     --testPathPattern=/tests \
     --passWithNoTests \
     --env=jsdom \
+    --moduleNameMapper='{"^@react-lit/focus-scope$":"<rootDir>/src/index.js"}' \
     --setupFilesAfterEnv=./tests/setup-tests.js $*
 }
 
@@ -2,6 +2,10 @@ import * as React from 'react';
 import {
 	useIsomorphicLayoutEffect as useLayoutEffect,
 	focusWithoutScrolling,
+	createNamedContext,
+	getOwnerDocument,
+	isFunction,
+	isString,
 } from '@react-lit/helper';
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -9,408 +13,3728 @@ import {
 /** @type {RefObject<HTMLElement[]>} */
 let activeScope = null;
 
-/** @type {Set<RefObject<HTMLElement[]>>} */
-let scopes = new Set();
+/**
+ * @typedef {Object} FocusTrap
+ * @prop {RefObject<HTMLElement[]>} scopeRef
+ * @prop {RefObject<HTMLElement>} focusedNode
+ * @prop {boolean} paused
+ * @prop {RefObject<FocusScopeCallbacks>} callbacksRef
+ */
+
+/**
+ * trapStack holds all mounted contained scopes. Only the topmost trap contains
+ * focus, every trap below it is paused until the traps above it unmount.
+ * @type {FocusTrap[]}
+ */
+let trapStack = [];
+
+/**
+ * currentActiveTrap is the trap that was notified about being activated last,
+ * so that `onActivate` and `onDeactivate` only fire when it changes.
+ * @type {FocusTrap | null}
+ */
+let currentActiveTrap = null;
+
+/**
+ * activeTrapHandlers are notified whenever `currentActiveTrap` changes.
+ * @type {Set<(prevTrap: FocusTrap | null, nextTrap: FocusTrap | null) => void>}
+ */
+let activeTrapHandlers = new Set();
+
+/**
+ * hiddenElements holds the elements hidden by `hideOutside` per attribute,
+ * together with the number of scopes hiding them and the attribute value they
+ * had before, so that nested and stacked scopes compose.
+ * @type {Map<string, Map<Element, { count: number, value: string | null }>>}
+ */
+let hiddenElements = new Map();
+
+/**
+ * scopeFocusOptions holds the `accept` and `selectors` props of all mounted
+ * scopes, so that every part of a scope finds the same focusable elements.
+ * @type {WeakMap<RefObject<HTMLElement[]>, FocusableOptions>}
+ */
+let scopeFocusOptions = new WeakMap();
+
+/**
+ * @typedef {Object} ScopeTreeNode
+ * @prop {RefObject<HTMLElement[]> | null} scopeRef
+ * @prop {ScopeTreeNode | null} parent
+ * @prop {Set<ScopeTreeNode>} children
+ */
+
+/**
+ * scopeTree holds all mounted scopes, keyed by their `scopeRef`. Scopes form a
+ * parent/child tree that follows the React tree instead of the DOM tree, so
+ * that scopes rendered through portals still count as part of their parent.
+ * The root node is keyed by `null`.
+ * @type {Map<RefObject<HTMLElement[]> | null, ScopeTreeNode>}
+ */
+let scopeTree = new Map([
+	[null, { scopeRef: null, parent: null, children: new Set() }],
+]);
+
+/**
+ * scopeTreeHandlers are notified whenever a scope is added to or removed from
+ * the scope tree, or its nodes change.
+ * @type {Set<(scopeRef: RefObject<HTMLElement[]>) => void>}
+ */
+let scopeTreeHandlers = new Set();
+
+/**
+ * typeaheadScopes holds the `scopeRef`s of all mounted scopes with typeahead.
+ * @type {WeakSet<RefObject<HTMLElement[]>>}
+ */
+let typeaheadScopes = new WeakSet();
+
+/**
+ * @typedef {'keyboard' | 'pointer' | 'virtual'} Modality
+ */
+
+/**
+ * currentModality is the kind of input the user interacted with last. It is
+ * tracked globally, so that focus moves in any scope or document agree on it.
+ * @type {Modality | null}
+ */
+let currentModality = null;
+
+/**
+ * modalityHandlers are notified whenever `currentModality` changes.
+ * @type {Set<(modality: Modality) => void>}
+ */
+let modalityHandlers = new Set();
+
+/**
+ * focusHistory holds the most recently focused elements, the most recent one
+ * last. Restoring focus walks back through it if the element to restore to is
+ * gone.
+ * @type {HTMLElement[]}
+ */
+let focusHistory = [];
+
+const FOCUS_HISTORY_LIMIT = 20;
+
+/**
+ * trackedDocuments holds the documents we listen to for input and focus
+ * events.
+ * @type {Set<Document>}
+ */
+let trackedDocuments = new Set();
+
+/**
+ * @typedef {Object} DebugEvent
+ * @prop {'activate' | 'deactivate' | 'contain' | 'autoFocus' | 'restore'} type
+ * @prop {string} reason
+ * @prop {Element | null} source The element focus moved away from.
+ * @prop {Element | null} target The element focus moved to.
+ */
+
+/**
+ * @typedef {Object} DebugOptions
+ * @prop {boolean} [overlay] Outline the active scope and its restore target.
+ * @prop {(event: DebugEvent) => void} [log] Defaults to `console.debug`.
+ */
+
+/**
+ * globalDebug is the debug mode set with `setFocusScopeDebug`, which applies to
+ * all scopes without a `debug` prop or FocusScopeDebugProvider.
+ * @type {boolean | DebugOptions}
+ */
+let globalDebug = false;
+
+/**
+ * globalDebugHandlers are notified whenever `globalDebug` changes.
+ * @type {Set<(debug: boolean | DebugOptions) => void>}
+ */
+let globalDebugHandlers = new Set();
+
+/**
+ * scopeDebug holds the debug mode of all mounted scopes, together with the
+ * element they restore focus to for the overlay.
+ * @type {WeakMap<RefObject<HTMLElement[]>, { debug: boolean | DebugOptions, restoreTarget: HTMLElement | null }>}
+ */
+let scopeDebug = new WeakMap();
+
+/** @type {HTMLElement | null} */
+let debugOverlay = null;
+
+/**
+ * @typedef {Object} FocusManager
+ * @prop {(opts?: FocusManagerOptions) => HTMLElement | null} focusNext
+ * @prop {(opts?: FocusManagerOptions) => HTMLElement | null} focusPrevious
+ * @prop {(opts?: FocusManagerOptions) => HTMLElement | null} focusFirst
+ * @prop {(opts?: FocusManagerOptions) => HTMLElement | null} focusLast
+ */
+
+/**
+ * @typedef {Object} FocusContextValue
+ * @prop {FocusManager} focusManager
+ * @prop {RefObject<HTMLElement[]>} scopeRef
+ */
+
+/** @type {React.Context<FocusContextValue | null>} */
+const FocusContext = createNamedContext('FocusContext', null);
+
+// NOTE(joel): The focus-within state changes whenever focus enters or leaves a
+// scope, so it has its own context. Otherwise every `useFocusManager` consumer
+// would re-render along with it.
+/** @type {React.Context<boolean>} */
+const FocusWithinContext = createNamedContext('FocusWithinContext', false);
+
+/** @type {React.Context<boolean | DebugOptions | undefined>} */
+const DebugContext = createNamedContext('FocusScopeDebugContext', undefined);
 
 /**
  * @typedef {Object} FocusLockProps
  * @prop {ReactNode} children
  * @prop {boolean} [contain]
- * @prop {boolean} [restoreFocus]
+ * @prop {boolean} [paused]
+ * @prop {boolean | 'always' | RestoreFocusTarget | RestoreFocusTarget[] | RestoreFocusOptions} [restoreFocus]
  * @prop {boolean} [autoFocus]
+ * @prop {RefObject<HTMLElement>} [initialFocusRef]
+ * @prop {boolean | TypeaheadOptions} [typeahead]
+ * @prop {AllowOutside | AllowOutside[]} [allowOutside]
+ * @prop {boolean | 'aria-hidden' | 'inert'} [hideOutside]
+ * @prop {ScrollBehavior | ScrollBehaviorOptions} [scrollBehavior]
+ * @prop {(node: Element) => boolean} [accept]
+ * @prop {string | string[]} [selectors]
+ * @prop {boolean | DebugOptions} [debug]
+ * @prop {() => void} [onActivate]
+ * @prop {() => void} [onDeactivate]
+ * @prop {(target: Element | null) => void} [onFocusEscapeAttempt]
+ * @prop {() => void} [onBeforeRestoreFocus]
+ * @prop {(element: Element | null) => void} [onAfterRestoreFocus]
+ * @prop {(target: Element) => boolean | void} [onInteractOutside]
+ * @prop {(element: HTMLElement) => HTMLElement | null | false | void} [onFocusLoss]
+ * @prop {(isFocusWithin: boolean) => void} [onFocusWithinChange]
+ */
+
+/**
+ * @typedef {Element | RefObject<Element> | string | ((target: Element) => boolean)} AllowOutside
+ */
+
+/**
+ * @typedef {Object} FocusScopeCallbacks
+ * @prop {() => void} [onActivate]
+ * @prop {() => void} [onDeactivate]
+ * @prop {(target: Element | null) => void} [onFocusEscapeAttempt]
+ * @prop {() => void} [onBeforeRestoreFocus]
+ * @prop {(element: Element | null) => void} [onAfterRestoreFocus]
+ * @prop {(target: Element) => boolean | void} [onInteractOutside]
+ * @prop {(element: HTMLElement) => HTMLElement | null | false | void} [onFocusLoss]
+ * @prop {(isFocusWithin: boolean) => void} [onFocusWithinChange]
+ */
+
+/**
+ * @typedef {Object} FocusScopeHandle
+ * @prop {() => HTMLElement | null} focusFirst
+ * @prop {() => HTMLElement | null} focusLast
+ * @prop {(element: Element | null) => boolean} contains
+ * @prop {(opts?: { tabbable?: boolean }) => HTMLElement[]} getFocusableElements
+ * @prop {() => boolean} restore
+ * @prop {HTMLElement[]} scopeNodes
  */
 
 /**
  * @param {FocusLockProps} props
+ * @param {React.Ref<FocusScopeHandle>} forwardedRef
  */
-export function FocusScope(props) {
+export const FocusScope = React.forwardRef((props, forwardedRef) => {
 	let {
 		children,
 		contain = true,
+		paused = false,
 		restoreFocus = true,
 		autoFocus = true,
 		initialFocusRef,
+		typeahead = false,
+		allowOutside,
+		hideOutside = false,
+		scrollBehavior,
+		accept,
+		selectors,
+		debug,
+		onActivate,
+		onDeactivate,
+		onFocusEscapeAttempt,
+		onBeforeRestoreFocus,
+		onAfterRestoreFocus,
+		onInteractOutside,
+		onFocusLoss,
+		onFocusWithinChange,
 	} = props;
 	let startRef = React.useRef();
 	let endRef = React.useRef();
 	let scopeRef = React.useRef([]);
+	let parentScope = React.useContext(FocusContext)?.scopeRef ?? null;
+
+	let scopeVersion = useScopeNodes(scopeRef, startRef, endRef, children);
 
-	// NOTE(joel): Find all rendered nodes between the sentinels and add them to
-	// the scope.
+	// NOTE(joel): Track the input modality, so that the elements we focus know
+	// whether to show focus.
 	useLayoutEffect(() => {
-		let node = startRef.current.nextSibling;
-		let nodes = [];
-		while (node && node !== endRef.current) {
-			nodes.push(node);
-			node = node.nextSibling;
-		}
+		trackDocument(getOwnerDocument(startRef.current));
+	}, []);
+	useDebug(scopeRef, debug);
 
-		scopeRef.current = nodes;
-		scopes.add(scopeRef);
+	useLayoutEffect(() => {
+		scopeFocusOptions.set(scopeRef, { accept, selectors });
+	});
+
+	// NOTE(joel): Callbacks are usually passed inline, so we keep the latest ones
+	// in a ref instead of re-running the effects that call them.
+	let callbacksRef = React.useRef({});
+	useLayoutEffect(() => {
+		callbacksRef.current = {
+			onActivate,
+			onDeactivate,
+			onFocusEscapeAttempt,
+			onBeforeRestoreFocus,
+			onAfterRestoreFocus,
+			onInteractOutside,
+			onFocusLoss,
+			onFocusWithinChange,
+		};
+	});
+
+	useFocusContainment(
+		scopeRef,
+		contain,
+		paused,
+		{ allowOutside, scrollBehavior },
+		callbacksRef,
+		scopeVersion,
+	);
+	let restore = useRestoreFocus(scopeRef, restoreFocus, contain, {
+		scrollBehavior,
+		onBeforeRestoreFocus,
+		onAfterRestoreFocus,
+	});
+	useAutoFocus(scopeRef, autoFocus, initialFocusRef, scrollBehavior);
+	useTypeahead(scopeRef, typeahead);
+	useHideOutside(scopeRef, contain && hideOutside, scopeVersion);
+	let isFocusWithin = useScopeFocusWithin(scopeRef, callbacksRef);
+
+	// NOTE(joel): Register the scope in the scope tree. This has to happen after
+	// the hooks above, so that on unmount their cleanups still see this scope
+	// (and its child scopes) in the tree.
+	useLayoutEffect(() => {
+		addScopeTreeNode(scopeRef, parentScope);
 		return () => {
-			scopes.delete(scopeRef);
+			// NOTE(joel): Hand the active scope over to the closest parent scope, so
+			// that focus bookkeeping continues there.
+			if (activeScope === scopeRef) {
+				activeScope = getParentScope(scopeRef);
+			}
+			removeScopeTreeNode(scopeRef);
 		};
-	}, [children]);
+	}, [parentScope]);
+
+	React.useImperativeHandle(
+		forwardedRef,
+		() => ({
+			focusFirst() {
+				return focusFirstInScope(scopeRef);
+			},
+			focusLast() {
+				return focusLastInScope(scopeRef);
+			},
+			contains(element) {
+				return isElementInChildScope(element, scopeRef);
+			},
+			getFocusableElements(opts = {}) {
+				return getFocusableElementsInScope(scopeRef, opts);
+			},
+			restore,
+			get scopeNodes() {
+				return scopeRef.current;
+			},
+		}),
+		[restore],
+	);
 
-	useFocusContainment(scopeRef, contain);
-	useRestoreFocus(scopeRef, restoreFocus, contain);
-	useAutoFocus(scopeRef, autoFocus, initialFocusRef);
+	let focusManager = React.useMemo(() => createFocusManager(scopeRef), []);
+	let ctx = React.useMemo(() => ({ focusManager, scopeRef }), [focusManager]);
 
 	return (
-		<>
-			<span hidden ref={startRef} />
-			{children}
-			<span hidden ref={endRef} />
-		</>
+		<FocusContext.Provider value={ctx}>
+			<FocusWithinContext.Provider value={isFocusWithin}>
+				<span hidden ref={startRef} />
+				{children}
+				<span hidden ref={endRef} />
+			</FocusWithinContext.Provider>
+		</FocusContext.Provider>
 	);
-}
+});
+
+FocusScope.displayName = 'FocusScope';
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * useFocusContainment
- * @param {RefObject<HTMLElement[]>} scopeRef
- * @param {boolean} contain
+ * useFocusManager returns a FocusManager interface for the parent FocusScope.
+ * A FocusManager can be used to programmatically move focus within a
+ * FocusScope, e.g. in response to user events like keyboard navigation.
+ * @returns {FocusManager | undefined}
  */
-function useFocusContainment(scopeRef, contain) {
-	let focusedNode = React.useRef();
+export function useFocusManager() {
+	return React.useContext(FocusContext)?.focusManager;
+}
 
-	let raf = React.useRef(null);
-	React.useEffect(() => {
-		let scope = scopeRef.current;
-		if (!contain) return;
+////////////////////////////////////////////////////////////////////////////////
 
-		/**
-		 * Handle the Tab key to contain focus within the scope
-		 * @param {React.KeyboardEvent} e
-		 */
-		function onKeyDown(e) {
-			if (e.key !== 'Tab' || e.altKey || e.ctrlKey || e.metaKey) {
-				return;
-			}
+/**
+ * setFocusScopeDebug enables the debug mode for all scopes that don't set it
+ * through their `debug` prop or a FocusScopeDebugProvider. The debug mode is
+ * only available in development builds.
+ * @param {boolean | DebugOptions} debug
+ */
+export function setFocusScopeDebug(debug) {
+	globalDebug = debug;
+	globalDebugHandlers.forEach(handler => handler(debug));
+}
 
-			const focusedElement = document.activeElement;
-			if (!isElementInScope(focusedElement, scope)) {
-				return;
-			}
+////////////////////////////////////////////////////////////////////////////////
 
-			const walker = getFocusableTreeWalker(
-				getScopeRoot(scope),
-				{ tabbable: true },
-				scope,
-			);
-			walker.currentNode = focusedElement;
+/**
+ * FocusScopeDebugProvider enables the debug mode for all scopes inside of it
+ * that don't set their own `debug` prop.
+ * @param {{ debug?: boolean | DebugOptions, children: ReactNode }} props
+ */
+export function FocusScopeDebugProvider({ debug = true, children }) {
+	return (
+		<DebugContext.Provider value={debug}>{children}</DebugContext.Provider>
+	);
+}
 
-			let nextElement = e.shiftKey ? walker.previousNode() : walker.nextNode();
-			if (!nextElement) {
-				walker.currentNode = e.shiftKey
-					? scope[scope.length - 1].nextElementSibling
-					: scope[0].previousElementSibling;
-				nextElement = e.shiftKey ? walker.previousNode() : walker.nextNode();
-			}
+////////////////////////////////////////////////////////////////////////////////
 
-			e.preventDefault();
-			if (nextElement) {
-				focusElement(nextElement, true);
-			}
-		}
+/**
+ * useDebug resolves the debug mode of the scope from its `debug` prop, the
+ * closest FocusScopeDebugProvider and `setFocusScopeDebug`, and keeps the
+ * overlay up to date while it is enabled.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {boolean | DebugOptions | undefined} debug
+ */
+function useDebug(scopeRef, debug) {
+	let providerDebug = React.useContext(DebugContext);
+	let [currentGlobalDebug, setCurrentGlobalDebug] = React.useState(
+		() => globalDebug,
+	);
+	let resolvedDebug = debug ?? providerDebug ?? currentGlobalDebug;
+	let overlay = Boolean(resolvedDebug?.overlay);
 
-		/**
-		 * onFocus
-		 * If a focus event occurs outside the active scope (e.g. user tabs from
-		 * browser location bar), restore focus to the previously focused node or
-		 * the first tabbable element in the active scope.
-		 * @param {React.FocusEvent} e
-		 */
-		function onFocus(e) {
-			const isInAnyScope = isElementInAnyScope(e.target, scopes);
+	useLayoutEffect(() => {
+		if (process.env.NODE_ENV === 'production') return;
 
-			if (!isInAnyScope) {
-				if (focusedNode.current) {
-					focusedNode.current.focus();
-				} else if (activeScope) {
-					focusFirstInScope(activeScope.current);
-				}
-			} else {
-				activeScope = scopeRef;
-				focusedNode.current = e.target;
-			}
-		}
+		let handler = value => setCurrentGlobalDebug(() => value);
+		globalDebugHandlers.add(handler);
+		handler(globalDebug);
+		return () => {
+			globalDebugHandlers.delete(handler);
+		};
+	}, []);
 
-		/**
-		 * onBlur
-		 * @param {React.FocusEvent} e
-		 */
-		function onBlur(e) {
-			// Firefox doesn't shift focus back to the Dialog properly without this
-			raf.current = window.requestAnimationFrame(() => {
-				// Use document.activeElement instead of e.relatedTarget so we can tell if user clicked into iframe
-				let isInAnyScope = isElementInAnyScope(document.activeElement, scopes);
+	useLayoutEffect(() => {
+		if (process.env.NODE_ENV === 'production') return;
 
-				if (!isInAnyScope) {
-					activeScope = scopeRef;
-					focusedNode.current = e.target;
-					focusedNode.current.focus();
-				}
-			});
-		}
+		getScopeDebug(scopeRef).debug = resolvedDebug;
+	});
 
-		document.addEventListener('keydown', onKeyDown, false);
-		document.addEventListener('focusin', onFocus, false);
-		scope.forEach(element =>
-			element.addEventListener('focusin', onFocus, false),
-		);
-		scope.forEach(element =>
-			element.addEventListener('focusout', onBlur, false),
-		);
+	useLayoutEffect(() => {
+		if (process.env.NODE_ENV === 'production' || !overlay) return;
+
+		let ownerDocument = getOwnerDocument(scopeRef.current[0]);
+		let ownerWindow = getOwnerWindow(scopeRef.current[0]);
+		let update = () => updateDebugOverlay();
+		ownerDocument.addEventListener('focusin', update, true);
+		ownerWindow.addEventListener('scroll', update, true);
+		ownerWindow.addEventListener('resize', update, false);
+		update();
 		return () => {
-			document.removeEventListener('keydown', onKeyDown, false);
-			document.removeEventListener('focusin', onFocus, false);
-			scope.forEach(element =>
-				element.removeEventListener('focusin', onFocus, false),
-			);
-			scope.forEach(element =>
-				element.removeEventListener('focusout', onBlur, false),
-			);
+			ownerDocument.removeEventListener('focusin', update, true);
+			ownerWindow.removeEventListener('scroll', update, true);
+			ownerWindow.removeEventListener('resize', update, false);
+			getScopeDebug(scopeRef).debug = false;
+			update();
 		};
-	}, [scopeRef, contain]);
-
-	// NOTE(joel): Cancel the current RequestAnimationFrame
-	React.useEffect(() => () => window.cancelAnimationFrame(raf.current), [raf]);
+	}, [scopeRef, overlay]);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * isElementInAnyScope
- * @param {Element} element
- * @param {Set<RefObject<HTMLElement[]>>} scopes
+ * getScopeDebug returns the debug state of the scope referenced by `scopeRef`.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @returns {{ debug: boolean | DebugOptions, restoreTarget: HTMLElement | null }}
  */
-function isElementInAnyScope(element, scopes) {
-	for (let scope of scopes.values()) {
-		if (isElementInScope(element, scope.current)) {
-			return true;
-		}
+function getScopeDebug(scopeRef) {
+	let state = scopeDebug.get(scopeRef);
+	if (!state) {
+		state = { debug: false, restoreTarget: null };
+		scopeDebug.set(scopeRef, state);
 	}
-	return false;
+	return state;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * isElementInScope
- * @param {Element} element
- * @param {HTMLElement[]} scope
+ * getDebugOptions returns the debug options of the scope referenced by
+ * `scopeRef`, or `null` if its debug mode is disabled.
+ * @param {RefObject<HTMLElement[]> | null} scopeRef
+ * @returns {DebugOptions | null}
  */
-function isElementInScope(element, scope) {
-	return scope.some(node => node.contains(element));
+function getDebugOptions(scopeRef) {
+	let debug = scopeRef ? scopeDebug.get(scopeRef)?.debug : null;
+	if (!debug) return null;
+	return debug === true ? {} : debug;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
-const focusableElements = [
-	'input:not([disabled]):not([type=hidden])',
-	'select:not([disabled])',
-	'textarea:not([disabled])',
-	'button:not([disabled])',
-	'a[href]',
-	'area[href]',
-	'summary',
-	'iframe',
-	'object',
-	'embed',
-	'audio[controls]',
-	'video[controls]',
-	'[contenteditable]',
-];
+/**
+ * logDebug reports a focus move of the scope referenced by `scopeRef` if its
+ * debug mode is enabled. Calls are wrapped in a `process.env.NODE_ENV` check,
+ * so that bundlers drop them from production builds.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {DebugEvent['type']} type
+ * @param {string} reason
+ * @param {Element | null} source
+ * @param {Element | null} target
+ */
+function logDebug(scopeRef, type, reason, source, target) {
+	let options = getDebugOptions(scopeRef);
+	if (!options) return;
 
-const FOCUSABLE_ELEMENT_SELECTOR =
-	focusableElements.join(':not([hidden]),') +
-	',[tabindex]:not([disabled]):not([hidden])';
+	let event = { type, reason, source, target };
+	if (options.log) {
+		options.log(event);
+	} else {
+		// eslint-disable-next-line no-console
+		console.debug(`[FocusScope] ${type}: ${reason}`, { source, target });
+	}
+	updateDebugOverlay();
+}
 
-focusableElements.push('[tabindex]:not([tabindex="-1"]):not([disabled])');
+////////////////////////////////////////////////////////////////////////////////
 
-const TABBABLE_ELEMENT_SELECTOR = focusableElements.join(
-	':not([hidden]):not([tabindex="-1"]),',
-);
+/**
+ * updateDebugOverlay outlines the nodes of the active scope and the element it
+ * restores focus to, if the scope has the overlay enabled. The active scope is
+ * the active trap, or else the innermost scope containing focus in any of the
+ * tracked documents.
+ */
+function updateDebugOverlay() {
+	let scopeRef =
+		currentActiveTrap?.scopeRef ?? getFocusedScope() ?? activeScope;
+	let scope = scopeRef?.current ?? [];
+	if (!getDebugOptions(scopeRef)?.overlay || scope.length === 0) {
+		debugOverlay?.remove();
+		debugOverlay = null;
+		return;
+	}
+
+	let ownerDocument = getOwnerDocument(scope[0]);
+	if (debugOverlay?.ownerDocument !== ownerDocument) {
+		debugOverlay?.remove();
+		debugOverlay = ownerDocument.createElement('div');
+		debugOverlay.setAttribute('data-focus-scope-debug', '');
+		debugOverlay.setAttribute('aria-hidden', 'true');
+		Object.assign(debugOverlay.style, {
+			position: 'fixed',
+			inset: '0',
+			pointerEvents: 'none',
+			zIndex: '2147483647',
+		});
+	}
+	if (!debugOverlay.isConnected) {
+		ownerDocument.body.appendChild(debugOverlay);
+	}
+
+	debugOverlay.textContent = '';
+	for (let node of scope) {
+		if (node.nodeType === 1) {
+			addDebugOutline(node, 'scope', '2px solid #1e90ff');
+		}
+	}
+	let { restoreTarget } = getScopeDebug(scopeRef);
+	if (restoreTarget?.isConnected && restoreTarget !== ownerDocument.body) {
+		addDebugOutline(restoreTarget, 'restore-target', '2px dashed #ff8c00');
+	}
+}
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * @typedef {Object} FocusManagerOptions
- * @prop {HTMLElement} [from]
- * @prop {boolean} [tabbable]
- * @prop {boolean} [wrap]
+ * getFocusedScope returns the innermost scope containing the focused element
+ * of any tracked document, e.g. of an iframe a scope is rendered into.
+ * @returns {RefObject<HTMLElement[]> | null}
  */
+function getFocusedScope() {
+	for (let ownerDocument of trackedDocuments) {
+		// NOTE(joel): Forget documents of removed iframes.
+		if (!ownerDocument.defaultView) {
+			trackedDocuments.delete(ownerDocument);
+			continue;
+		}
+
+		let scopeRef = getScopeForElement(getActiveElement(ownerDocument));
+		if (scopeRef) return scopeRef;
+	}
+	return null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
 
 /**
- * getFocusableTreeWalker creates a TreeWalker that matches all
- * focusable/tabbable elements.
- * @see https://developer.mozilla.org/en-US/docs/Web/API/TreeWalker
- * @param {FocusManagerOptions} [opts]
- * @param {HTMLElement} root
- * @param {HTMLElement[]} [scope]
- * @returns {TreeWalker}
+ * addDebugOutline draws an outline around `element` into the debug overlay.
+ * @param {Element} element
+ * @param {'scope' | 'restore-target'} kind
+ * @param {string} outline
  */
-export function getFocusableTreeWalker(root, opts, scope) {
-	let selector = opts?.tabbable
-		? TABBABLE_ELEMENT_SELECTOR
-		: FOCUSABLE_ELEMENT_SELECTOR;
-	let walker = document.createTreeWalker(root, window.NodeFilter.SHOW_ELEMENT, {
+function addDebugOutline(element, kind, outline) {
+	let rect = element.getBoundingClientRect();
+	let box = debugOverlay.ownerDocument.createElement('div');
+	box.setAttribute('data-focus-scope-debug-outline', kind);
+	Object.assign(box.style, {
+		position: 'absolute',
+		left: `${rect.left}px`,
+		top: `${rect.top}px`,
+		width: `${rect.width}px`,
+		height: `${rect.height}px`,
+		outline,
+		boxSizing: 'border-box',
+	});
+	debugOverlay.appendChild(box);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * useFocusWithin returns whether focus is anywhere inside the closest
+ * FocusScope, including its child scopes rendered through portals.
+ * `onFocusWithinChange` is called whenever that changes.
+ * @param {{ onFocusWithinChange?: (isFocusWithin: boolean) => void }} [opts]
+ * @returns {{ isFocusWithin: boolean }}
+ */
+export function useFocusWithin(opts = {}) {
+	let isFocusWithin = React.useContext(FocusWithinContext);
+
+	let onChangeRef = React.useRef(opts.onFocusWithinChange);
+	useLayoutEffect(() => {
+		onChangeRef.current = opts.onFocusWithinChange;
+	});
+
+	let previousRef = React.useRef(isFocusWithin);
+	React.useEffect(() => {
+		if (previousRef.current === isFocusWithin) return;
+		previousRef.current = isFocusWithin;
+		onChangeRef.current?.(isFocusWithin);
+	}, [isFocusWithin]);
+
+	return { isFocusWithin };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isFocusVisible tests if focus should currently be shown, i.e. the last
+ * interaction didn't come from a pointer.
+ * @returns {boolean}
+ */
+export function isFocusVisible() {
+	return currentModality !== 'pointer';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * useFocusVisible tracks the input modality and re-renders whenever focus
+ * switches between being visible and not. The modality is tracked in the
+ * document of `ref`, or of the closest FocusScope if no ref is passed.
+ * @param {RefObject<Element>} [ref]
+ * @returns {{ isFocusVisible: boolean }}
+ */
+export function useFocusVisible(ref) {
+	let [visible, setVisible] = React.useState(isFocusVisible);
+	let scopeRef = React.useContext(FocusContext)?.scopeRef;
+
+	useLayoutEffect(() => {
+		trackDocument(getOwnerDocument(ref?.current ?? scopeRef?.current[0]));
+		let handler = () => setVisible(isFocusVisible());
+		modalityHandlers.add(handler);
+		handler();
+		return () => {
+			modalityHandlers.delete(handler);
+		};
+	}, [ref, scopeRef]);
+
+	return { isFocusVisible: visible };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getFocusHistory returns the most recently focused elements that are still
+ * connected, the most recent one last.
+ * @returns {HTMLElement[]}
+ */
+export function getFocusHistory() {
+	focusHistory = focusHistory.filter(element => element.isConnected);
+	return focusHistory.slice();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * clearFocusHistory forgets all recently focused elements.
+ */
+export function clearFocusHistory() {
+	focusHistory = [];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * pushFocusHistory records `element` as the most recently focused element.
+ * Focus events are recorded automatically, this is meant for custom flows
+ * that move focus without them, and for tests.
+ * @param {HTMLElement} element
+ */
+export function pushFocusHistory(element) {
+	if (element?.nodeType !== 1) return;
+
+	focusHistory = focusHistory.filter(
+		other => other !== element && other.isConnected,
+	);
+	focusHistory.push(element);
+	if (focusHistory.length > FOCUS_HISTORY_LIMIT) {
+		focusHistory.shift();
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * trackDocument starts listening to keyboard, pointer and focus events on
+ * `ownerDocument` to keep `currentModality` and `focusHistory` up to date.
+ * The listeners stay attached once a scope or hook needed them, so that the
+ * interaction opening the next scope is tracked even if no scope is mounted.
+ * @param {Document} ownerDocument
+ */
+function trackDocument(ownerDocument) {
+	if (trackedDocuments.has(ownerDocument)) return;
+	trackedDocuments.add(ownerDocument);
+
+	// NOTE(joel): The first scope usually mounts in response to an event we
+	// didn't listen to yet, e.g. the click on the button that opens it. Browsers
+	// expose that event as `window.event` while its listeners (and the
+	// microtasks they queue, like React's render) run.
+	let event = ownerDocument.defaultView?.event;
+	if (event) setModalityFromEvent(event);
+
+	ownerDocument.addEventListener('keydown', onModalityKeyDown, true);
+	ownerDocument.addEventListener('pointerdown', onModalityPointerDown, true);
+	ownerDocument.addEventListener('mousedown', onModalityPointerDown, true);
+	ownerDocument.addEventListener('click', onModalityClick, true);
+	ownerDocument.addEventListener('focusin', onHistoryFocusIn, true);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * onModalityKeyDown
+ * @param {KeyboardEvent} e
+ */
+function onModalityKeyDown(e) {
+	// NOTE(joel): Keyboard shortcuts, e.g. Cmd+click, don't count as keyboard
+	// navigation.
+	if (e.metaKey || e.ctrlKey || e.altKey || MODIFIER_KEYS.includes(e.key)) {
+		return;
+	}
+	setModality('keyboard');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * onModalityPointerDown
+ */
+function onModalityPointerDown() {
+	setModality('pointer');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * onModalityClick detects clicks by assistive technology, which fire without
+ * any pointer events.
+ * @param {MouseEvent} e
+ */
+function onModalityClick(e) {
+	if (e.detail === 0 && !e.pointerType) {
+		setModality('virtual');
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * setModalityFromEvent updates `currentModality` from an event that happened
+ * before we listened to the document.
+ * @param {Event} e
+ */
+function setModalityFromEvent(e) {
+	if (e.type === 'keydown' || e.type === 'keyup') {
+		onModalityKeyDown(e);
+	} else if (e.type === 'click') {
+		setModality(e.detail === 0 && !e.pointerType ? 'virtual' : 'pointer');
+	} else if (/^(pointer|mouse|touch)/.test(e.type)) {
+		onModalityPointerDown();
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * onHistoryFocusIn
+ * @param {FocusEvent} e
+ */
+function onHistoryFocusIn(e) {
+	pushFocusHistory(getEventTarget(e));
+}
+
+const MODIFIER_KEYS = ['Alt', 'Control', 'Meta', 'Shift'];
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * setModality updates `currentModality` and notifies the modality handlers if
+ * it changed.
+ * @param {Modality} modality
+ */
+function setModality(modality) {
+	if (currentModality === modality) return;
+
+	currentModality = modality;
+	modalityHandlers.forEach(handler => handler(modality));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * markFocusVisible sets `data-focus-visible` on the focused `element` if focus
+ * should be shown, and removes it again once the element loses focus.
+ * @param {HTMLElement} element
+ */
+function markFocusVisible(element) {
+	if (!isFocusVisible()) {
+		element.removeAttribute('data-focus-visible');
+		return;
+	}
+	if (getActiveElement(getOwnerDocument(element)) !== element) return;
+
+	element.setAttribute('data-focus-visible', '');
+	element.addEventListener(
+		'blur',
+		() => element.removeAttribute('data-focus-visible'),
+		{ once: true },
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * createFocusManager creates a FocusManager bound to the given `scopeRef`.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @returns {FocusManager}
+ */
+function createFocusManager(scopeRef) {
+	return {
+		focusNext(opts = {}) {
+			let scope = scopeRef.current;
+			let { from, tabbable, wrap, accept, selectors } = opts;
+			let node = from || getActiveElement(getOwnerDocument(scope[0]));
+			let sentinel = scope[0].previousElementSibling;
+			let walker = createFocusableWalker(
+				getScopeRoot(scope),
+				{ ...getScopeFocusOptions(scopeRef, { accept, selectors }), tabbable },
+				scope,
+			);
+			walker.currentNode = isElementInScope(node, scope) ? node : sentinel;
+			let nextNode = walker.nextNode();
+			if (!nextNode && wrap) {
+				walker.currentNode = sentinel;
+				nextNode = walker.nextNode();
+			}
+			if (nextNode) {
+				focusElement(nextNode, true);
+			}
+			return nextNode;
+		},
+		focusPrevious(opts = {}) {
+			let scope = scopeRef.current;
+			let { from, tabbable, wrap, accept, selectors } = opts;
+			let node = from || getActiveElement(getOwnerDocument(scope[0]));
+			let sentinel = scope[scope.length - 1].nextElementSibling;
+			let walker = createFocusableWalker(
+				getScopeRoot(scope),
+				{ ...getScopeFocusOptions(scopeRef, { accept, selectors }), tabbable },
+				scope,
+			);
+			walker.currentNode = isElementInScope(node, scope) ? node : sentinel;
+			let previousNode = walker.previousNode();
+			if (!previousNode && wrap) {
+				walker.currentNode = sentinel;
+				previousNode = walker.previousNode();
+			}
+			if (previousNode) {
+				focusElement(previousNode, true);
+			}
+			return previousNode;
+		},
+		focusFirst(opts = {}) {
+			let scope = scopeRef.current;
+			let { tabbable, accept, selectors } = opts;
+			let walker = createFocusableWalker(
+				getScopeRoot(scope),
+				{ ...getScopeFocusOptions(scopeRef, { accept, selectors }), tabbable },
+				scope,
+			);
+			walker.currentNode = scope[0].previousElementSibling;
+			let nextNode = walker.nextNode();
+			if (nextNode) {
+				focusElement(nextNode, true);
+			}
+			return nextNode;
+		},
+		focusLast(opts = {}) {
+			let scope = scopeRef.current;
+			let { tabbable, accept, selectors } = opts;
+			let walker = createFocusableWalker(
+				getScopeRoot(scope),
+				{ ...getScopeFocusOptions(scopeRef, { accept, selectors }), tabbable },
+				scope,
+			);
+			walker.currentNode = scope[scope.length - 1].nextElementSibling;
+			let previousNode = walker.previousNode();
+			if (previousNode) {
+				focusElement(previousNode, true);
+			}
+			return previousNode;
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} RovingFocusOptions
+ * @prop {'horizontal' | 'vertical' | 'both'} [orientation='horizontal']
+ * @prop {boolean} [wrap=false]
+ * @prop {'ltr' | 'rtl'} [dir]
+ */
+
+/**
+ * useRovingFocus implements a roving tabindex for the focusable elements
+ * inside of `ref`, e.g. for toolbars, listboxes or tab lists. Only the active
+ * item is tabbable, and the arrow keys matching `orientation` as well as Home
+ * and End move focus between the items. The active item is remembered when
+ * focus leaves the group.
+ * @param {RefObject<HTMLElement>} ref
+ * @param {RovingFocusOptions} [opts]
+ */
+export function useRovingFocus(ref, opts = {}) {
+	let { orientation = 'horizontal', wrap = false, dir } = opts;
+	let activeItem = React.useRef(null);
+
+	// NOTE(joel): Make only the active item tabbable. This runs after every
+	// render, so that added or removed items are picked up.
+	useLayoutEffect(() => {
+		let container = ref.current;
+		if (!container) return;
+
+		let items = getRovingItems(container);
+		if (!items.includes(activeItem.current)) {
+			activeItem.current = items[0] ?? null;
+		}
+		updateRovingTabIndex(items, activeItem.current);
+	});
+
+	React.useEffect(() => {
+		let container = ref.current;
+		if (!container) return;
+
+		/**
+		 * onFocus makes the focused item the active item.
+		 * @param {FocusEvent} e
+		 */
+		function onFocus(e) {
+			let target = getEventTarget(e);
+			let items = getRovingItems(container);
+			if (!items.includes(target)) return;
+
+			activeItem.current = target;
+			updateRovingTabIndex(items, target);
+		}
+
+		/**
+		 * onKeyDown moves focus between the items.
+		 * @param {KeyboardEvent} e
+		 */
+		function onKeyDown(e) {
+			if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+			let items = getRovingItems(container);
+			let index = items.indexOf(getEventTarget(e));
+			if (index === -1) return;
+
+			let isRTL = (dir ?? getDirection(container)) === 'rtl';
+			let horizontal = orientation !== 'vertical';
+			let vertical = orientation !== 'horizontal';
+
+			let nextIndex = null;
+			switch (e.key) {
+				case 'ArrowRight':
+					if (horizontal) nextIndex = isRTL ? index - 1 : index + 1;
+					break;
+				case 'ArrowLeft':
+					if (horizontal) nextIndex = isRTL ? index + 1 : index - 1;
+					break;
+				case 'ArrowDown':
+					if (vertical) nextIndex = index + 1;
+					break;
+				case 'ArrowUp':
+					if (vertical) nextIndex = index - 1;
+					break;
+				case 'Home':
+					nextIndex = 0;
+					break;
+				case 'End':
+					nextIndex = items.length - 1;
+					break;
+			}
+			if (nextIndex == null) return;
+
+			e.preventDefault();
+			if (wrap) {
+				nextIndex = (nextIndex + items.length) % items.length;
+			} else {
+				nextIndex = Math.min(Math.max(nextIndex, 0), items.length - 1);
+			}
+
+			let nextItem = items[nextIndex];
+			activeItem.current = nextItem;
+			updateRovingTabIndex(items, nextItem);
+			focusElement(nextItem, true);
+		}
+
+		container.addEventListener('focusin', onFocus, false);
+		container.addEventListener('keydown', onKeyDown, false);
+		return () => {
+			container.removeEventListener('focusin', onFocus, false);
+			container.removeEventListener('keydown', onKeyDown, false);
+		};
+	}, [ref, orientation, wrap, dir]);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getRovingItems returns all focusable elements inside of `container`.
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+function getRovingItems(container) {
+	let walker = createFocusableWalker(container);
+	let items = [];
+	let node = walker.nextNode();
+	while (node) {
+		items.push(node);
+		node = walker.nextNode();
+	}
+	return items;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * updateRovingTabIndex makes `activeItem` the only tabbable element of
+ * `items`.
+ * @param {HTMLElement[]} items
+ * @param {HTMLElement | null} activeItem
+ */
+function updateRovingTabIndex(items, activeItem) {
+	for (let item of items) {
+		item.tabIndex = item === activeItem ? 0 : -1;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getDirection returns the text direction of `element`, based on the closest
+ * `dir` attribute.
+ * @param {HTMLElement} element
+ * @returns {'ltr' | 'rtl'}
+ */
+function getDirection(element) {
+	let dir = element.closest('[dir]')?.getAttribute('dir');
+	return dir?.toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} GridNavigationOptions
+ * @prop {'aria' | 'geometry'} [layout]
+ * @prop {number} [pageSize=5]
+ * @prop {'ltr' | 'rtl'} [dir]
+ */
+
+/**
+ * @typedef {Object} GridCell
+ * @prop {HTMLElement} element
+ * @prop {number} row
+ * @prop {number} x
+ */
+
+/**
+ * useGridNavigation implements two-dimensional arrow key navigation for the
+ * cells inside of `ref`, e.g. for data grids or calendars. The grid structure
+ * is either read from ARIA grid roles (`row`, `gridcell`, `columnheader`,
+ * `rowheader`) or derived from the bounding boxes of all focusable elements.
+ * Like `useRovingFocus`, only the active cell is tabbable.
+ * @param {RefObject<HTMLElement>} ref
+ * @param {GridNavigationOptions} [opts]
+ */
+export function useGridNavigation(ref, opts = {}) {
+	let { layout, pageSize = 5, dir } = opts;
+	let activeCell = React.useRef(null);
+
+	// NOTE(joel): Make only the active cell tabbable. This runs after every
+	// render, so that added or removed cells are picked up.
+	useLayoutEffect(() => {
+		let container = ref.current;
+		if (!container) return;
+
+		let items = getGridCells(container, layout).map(cell => cell.element);
+		if (!items.includes(activeCell.current)) {
+			activeCell.current = items[0] ?? null;
+		}
+		updateRovingTabIndex(items, activeCell.current);
+	});
+
+	React.useEffect(() => {
+		let container = ref.current;
+		if (!container) return;
+
+		/**
+		 * onFocus makes the focused cell the active cell.
+		 * @param {FocusEvent} e
+		 */
+		function onFocus(e) {
+			let target = getEventTarget(e);
+			let items = getGridCells(container, layout).map(cell => cell.element);
+			if (!items.includes(target)) return;
+
+			activeCell.current = target;
+			updateRovingTabIndex(items, target);
+		}
+
+		/**
+		 * onKeyDown moves focus between the cells.
+		 * @param {KeyboardEvent} e
+		 */
+		function onKeyDown(e) {
+			if (e.altKey || e.metaKey) return;
+			if (e.ctrlKey && e.key !== 'Home' && e.key !== 'End') return;
+
+			let gridLayout = getGridLayout(container, layout);
+			let cells = getGridCells(container, gridLayout);
+			let target = getEventTarget(e);
+			let cell = cells.find(c => c.element === target);
+			if (!cell) return;
+
+			// NOTE(joel): Cells of an ARIA grid are in DOM order, which is mirrored
+			// in RTL. Geometric cells are already in visual order.
+			let isRTL =
+				gridLayout === 'aria' && (dir ?? getDirection(container)) === 'rtl';
+			let rows = groupGridRows(cells);
+			let rowIndex = rows.findIndex(row => row.includes(cell));
+			let row = rows[rowIndex];
+			let colIndex = row.indexOf(cell);
+
+			let nextCell = null;
+			switch (e.key) {
+				case 'ArrowRight':
+					nextCell = row[isRTL ? colIndex - 1 : colIndex + 1];
+					break;
+				case 'ArrowLeft':
+					nextCell = row[isRTL ? colIndex + 1 : colIndex - 1];
+					break;
+				case 'ArrowDown':
+					nextCell = getClosestCell(rows[rowIndex + 1], cell.x);
+					break;
+				case 'ArrowUp':
+					nextCell = getClosestCell(rows[rowIndex - 1], cell.x);
+					break;
+				case 'PageDown':
+					nextCell = getClosestCell(
+						rows[Math.min(rowIndex + pageSize, rows.length - 1)],
+						cell.x,
+					);
+					break;
+				case 'PageUp':
+					nextCell = getClosestCell(
+						rows[Math.max(rowIndex - pageSize, 0)],
+						cell.x,
+					);
+					break;
+				case 'Home':
+					nextCell = e.ctrlKey ? rows[0][0] : row[0];
+					break;
+				case 'End':
+					nextCell = e.ctrlKey
+						? rows[rows.length - 1][rows[rows.length - 1].length - 1]
+						: row[row.length - 1];
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+			if (!nextCell) return;
+
+			activeCell.current = nextCell.element;
+			updateRovingTabIndex(
+				cells.map(c => c.element),
+				nextCell.element,
+			);
+			focusElement(nextCell.element, true);
+		}
+
+		container.addEventListener('focusin', onFocus, false);
+		container.addEventListener('keydown', onKeyDown, false);
+		return () => {
+			container.removeEventListener('focusin', onFocus, false);
+			container.removeEventListener('keydown', onKeyDown, false);
+		};
+	}, [ref, layout, pageSize, dir]);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const GRID_CELL_SELECTOR =
+	'[role="gridcell"],[role="columnheader"],[role="rowheader"]';
+
+/**
+ * getGridLayout returns `layout` if set. Otherwise it is derived from the
+ * presence of ARIA rows inside of `container`.
+ * @param {HTMLElement} container
+ * @param {'aria' | 'geometry'} [layout]
+ * @returns {'aria' | 'geometry'}
+ */
+function getGridLayout(container, layout) {
+	if (layout) return layout;
+	return container.querySelector('[role="row"]') ? 'aria' : 'geometry';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getGridCells returns all focusable cells inside of `container`. Cells that
+ * are hidden or disabled are skipped.
+ * @param {HTMLElement} container
+ * @param {'aria' | 'geometry'} [layout]
+ * @returns {GridCell[]}
+ */
+function getGridCells(container, layout) {
+	if (getGridLayout(container, layout) === 'geometry') {
+		let cells = getRovingItems(container).map(element => {
+			let rect = element.getBoundingClientRect();
+			return { element, rect, row: 0, x: rect.left + rect.width / 2 };
+		});
+
+		// NOTE(joel): Elements belong to the same row if their vertical centers
+		// overlap.
+		cells.sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left);
+		let row = 0;
+		let rowRect = cells[0]?.rect;
+		for (let cell of cells) {
+			let center = cell.rect.top + cell.rect.height / 2;
+			if (center > rowRect.bottom) {
+				row++;
+				rowRect = cell.rect;
+			}
+			cell.row = row;
+		}
+		return cells.map(({ element, row, x }) => ({ element, row, x }));
+	}
+
+	let cells = [];
+	let rows = Array.from(container.querySelectorAll('[role="row"]'));
+	rows.forEach((row, rowIndex) => {
+		let rowCells = Array.from(row.querySelectorAll(GRID_CELL_SELECTOR)).filter(
+			cell => cell.closest('[role="row"]') === row,
+		);
+		rowCells.forEach((cell, colIndex) => {
+			let element = getGridCellTarget(cell);
+			if (element) {
+				let x = Number(cell.getAttribute('aria-colindex')) || colIndex + 1;
+				cells.push({ element, row: rowIndex, x });
+			}
+		});
+	});
+	return cells;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getGridCellTarget returns the element that receives focus for `cell`: The
+ * cell itself if it is focusable, or else the first focusable element inside
+ * of it.
+ * @param {HTMLElement} cell
+ * @returns {HTMLElement | null}
+ */
+function getGridCellTarget(cell) {
+	if (cell.matches(FOCUSABLE_ELEMENT_SELECTOR)) {
+		return isElementVisible(cell) ? cell : null;
+	}
+	return createFocusableWalker(cell).nextNode();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * groupGridRows groups `cells` by row, skipping empty rows.
+ * @param {GridCell[]} cells
+ * @returns {GridCell[][]}
+ */
+function groupGridRows(cells) {
+	let rows = new Map();
+	for (let cell of cells) {
+		if (!rows.has(cell.row)) rows.set(cell.row, []);
+		rows.get(cell.row).push(cell);
+	}
+	return Array.from(rows.keys())
+		.sort((a, b) => a - b)
+		.map(key => rows.get(key).sort((a, b) => a.x - b.x));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getClosestCell returns the cell of `row` that is horizontally closest to
+ * `x`.
+ * @param {GridCell[]} [row]
+ * @param {number} x
+ * @returns {GridCell | null}
+ */
+function getClosestCell(row, x) {
+	let closest = null;
+	for (let cell of row ?? []) {
+		if (!closest || Math.abs(cell.x - x) < Math.abs(closest.x - x)) {
+			closest = cell;
+		}
+	}
+	return closest;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * useScopeNodes keeps `scopeRef` in sync with the nodes rendered between the
+ * sentinels. Besides re-rendering `children`, a child component can add or
+ * swap top-level nodes on its own state change, so we also watch the
+ * sentinels' parent with a MutationObserver.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {RefObject<HTMLElement>} startRef
+ * @param {RefObject<HTMLElement>} endRef
+ * @param {React.ReactNode} children
+ * @returns {number} A version that changes whenever the scope nodes change
+ * after mount, so that effects bound to them can re-run.
+ */
+function useScopeNodes(scopeRef, startRef, endRef, children) {
+	let [version, bumpVersion] = React.useReducer(v => v + 1, 0);
+	let isCollectedRef = React.useRef(false);
+
+	let updateScopeNodes = React.useCallback(() => {
+		let nodes = getNodesBetween(startRef.current, endRef.current);
+		if (areNodesEqual(nodes, scopeRef.current)) return;
+
+		scopeRef.current = nodes;
+		if (isCollectedRef.current) {
+			bumpVersion();
+			notifyScopeTreeChange(scopeRef);
+		}
+		isCollectedRef.current = true;
+	}, [scopeRef, startRef, endRef]);
+
+	useLayoutEffect(() => {
+		updateScopeNodes();
+	}, [children, updateScopeNodes]);
+
+	useLayoutEffect(() => {
+		let start = startRef.current;
+		let ownerWindow = getOwnerWindow(start);
+		if (!start.parentNode || !ownerWindow.MutationObserver) return;
+
+		let observer = new ownerWindow.MutationObserver(updateScopeNodes);
+		observer.observe(start.parentNode, { childList: true });
+		return () => observer.disconnect();
+	}, [startRef, updateScopeNodes]);
+
+	return version;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getNodesBetween returns the sibling nodes between `start` and `end`.
+ * @param {Node} start
+ * @param {Node} end
+ * @returns {HTMLElement[]}
+ */
+function getNodesBetween(start, end) {
+	let nodes = [];
+	let node = start.nextSibling;
+	while (node && node !== end) {
+		nodes.push(node);
+		node = node.nextSibling;
+	}
+	return nodes;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * areNodesEqual tests if `a` and `b` contain the same nodes in the same order.
+ * @param {Node[]} a
+ * @param {Node[]} b
+ */
+function areNodesEqual(a, b) {
+	return a.length === b.length && a.every((node, i) => node === b[i]);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * useFocusContainment
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {boolean} contain
+ * @param {boolean} paused
+ * @param {{ allowOutside?: AllowOutside | AllowOutside[], scrollBehavior?: ScrollBehavior | ScrollBehaviorOptions }} options
+ * @param {RefObject<FocusScopeCallbacks>} callbacksRef
+ * @param {number} scopeVersion
+ */
+function useFocusContainment(
+	scopeRef,
+	contain,
+	paused,
+	options,
+	callbacksRef,
+	scopeVersion,
+) {
+	let focusedNode = React.useRef();
+	let trapRef = React.useRef(null);
+	let optionsRef = React.useRef(options);
+	let pausedRef = React.useRef(paused);
+	useLayoutEffect(() => {
+		optionsRef.current = options;
+		pausedRef.current = paused;
+	});
+
+	// NOTE(joel): Push the scope onto the trap stack, which pauses the trap
+	// below it. When the scope unmounts, the trap below resumes.
+	useLayoutEffect(() => {
+		if (!contain) return;
+
+		let ownerDocument = getOwnerDocument(scopeRef.current[0]);
+		let ownerWindow = getOwnerWindow(scopeRef.current[0]);
+		// NOTE(joel): Scopes that mount paused must not activate, not even for the
+		// moment until the effect below applies the `paused` prop.
+		let trap = {
+			scopeRef,
+			focusedNode,
+			paused: pausedRef.current,
+			callbacksRef,
+		};
+		trapRef.current = trap;
+		pushTrap(trap);
+		updateActiveTrap();
+		return () => {
+			let hadFocus = isElementInChildScope(
+				getActiveElement(ownerDocument),
+				scopeRef,
+			);
+			let wasActive = isTrapActive(trap);
+			removeTrap(trap);
+			trapRef.current = null;
+			updateActiveTrap();
+			if (hadFocus && wasActive) {
+				ownerWindow.requestAnimationFrame(() => {
+					resumeTrap(getActiveTrap());
+				});
+			}
+		};
+	}, [scopeRef, contain, callbacksRef]);
+
+	// NOTE(joel): Keep the trap in sync with the `paused` prop. Resuming a trap
+	// brings focus back to its last focused node.
+	useLayoutEffect(() => {
+		let trap = trapRef.current;
+		if (!trap || trap.paused === paused) return;
+
+		trap.paused = paused;
+		updateActiveTrap();
+		if (!paused && isTrapActive(trap)) {
+			resumeTrap(trap);
+		}
+	}, [paused, contain]);
+
+	let raf = React.useRef(null);
+	React.useEffect(() => {
+		let scope = scopeRef.current;
+		if (!contain) return;
+
+		let ownerDocument = getOwnerDocument(scope[0]);
+		let ownerWindow = getOwnerWindow(scope[0]);
+
+		/**
+		 * Handle the Tab key to contain focus within the scope
+		 * @param {React.KeyboardEvent} e
+		 */
+		function onKeyDown(e) {
+			if (e.key !== 'Tab' || e.altKey || e.ctrlKey || e.metaKey) {
+				return;
+			}
+
+			if (!isTrapActive(trapRef.current)) return;
+
+			const focusedElement = getActiveElement(ownerDocument);
+			if (!isElementInScope(focusedElement, scope)) {
+				return;
+			}
+
+			// NOTE(joel): Follow the sequential navigation order, so that positive
+			// tabindex values behave like they do without the scope.
+			const navigator = createTabNavigator(
+				getScopeRoot(scope),
+				getScopeFocusOptions(scopeRef),
+				scope,
+			);
+			let nextElement = navigator.next(focusedElement, e.shiftKey);
+			let wrapped = !nextElement;
+			if (wrapped) {
+				nextElement = navigator.first(e.shiftKey);
+			}
+
+			e.preventDefault();
+			if (nextElement) {
+				focusElement(
+					nextElement,
+					getScrollBehavior(optionsRef.current.scrollBehavior, 'tab', true),
+				);
+				if (process.env.NODE_ENV !== 'production' && wrapped) {
+					logDebug(
+						scopeRef,
+						'contain',
+						'Tab wrapped around the scope',
+						focusedElement,
+						nextElement,
+					);
+				}
+			}
+		}
+
+		/**
+		 * isOutsideAllowed tests if `target` may keep focus although it is outside
+		 * of the scope, i.e. it matches `allowOutside` and `onInteractOutside`
+		 * doesn't veto it.
+		 * @param {Element | null} target
+		 */
+		function isOutsideAllowed(target) {
+			if (
+				!target ||
+				!matchesAllowOutside(target, optionsRef.current.allowOutside)
+			) {
+				return false;
+			}
+			return callbacksRef.current.onInteractOutside?.(target) !== false;
+		}
+
+		/**
+		 * onFocus
+		 * If a focus event occurs outside the active scope (e.g. user tabs from
+		 * browser location bar), restore focus to the previously focused node or
+		 * the first tabbable element in the active scope.
+		 * @param {React.FocusEvent} e
+		 */
+		function onFocus(e) {
+			if (!isTrapActive(trapRef.current)) return;
+
+			let target = getEventTarget(e);
+			if (!isElementInChildScope(target, scopeRef)) {
+				if (isOutsideAllowed(target)) return;
+
+				callbacksRef.current.onFocusEscapeAttempt?.(target);
+				if (focusedNode.current) {
+					focusElement(focusedNode.current, true);
+				} else {
+					focusFirstInScope(scopeRef);
+				}
+				if (process.env.NODE_ENV !== 'production') {
+					logDebug(
+						scopeRef,
+						'contain',
+						'focus moved outside of the scope',
+						target,
+						getActiveElement(ownerDocument),
+					);
+				}
+			} else {
+				activeScope = getScopeForElement(target);
+				focusedNode.current = target;
+			}
+		}
+
+		/**
+		 * onBlur
+		 * @param {React.FocusEvent} e
+		 */
+		function onBlur(e) {
+			if (!isTrapActive(trapRef.current)) return;
+
+			let target = getEventTarget(e);
+
+			// Firefox doesn't shift focus back to the Dialog properly without this
+			raf.current = ownerWindow.requestAnimationFrame(() => {
+				if (!isTrapActive(trapRef.current)) return;
+
+				// Use document.activeElement instead of e.relatedTarget so we can tell if user clicked into iframe
+				let activeElement = getActiveElement(ownerDocument);
+				let isInScope = isElementInChildScope(activeElement, scopeRef);
+
+				// NOTE(joel): Allowed outside elements were already let through (or
+				// vetoed) when they received focus.
+				if (
+					!isInScope &&
+					!matchesAllowOutside(activeElement, optionsRef.current.allowOutside)
+				) {
+					callbacksRef.current.onFocusEscapeAttempt?.(activeElement);
+					activeScope = scopeRef;
+					focusedNode.current = target;
+					focusElement(focusedNode.current, true);
+					if (process.env.NODE_ENV !== 'production') {
+						logDebug(
+							scopeRef,
+							'contain',
+							'focus left the scope',
+							activeElement,
+							getActiveElement(ownerDocument),
+						);
+					}
+				}
+			});
+		}
+
+		ownerDocument.addEventListener('keydown', onKeyDown, false);
+		ownerDocument.addEventListener('focusin', onFocus, false);
+		scope.forEach(element =>
+			element.addEventListener('focusin', onFocus, false),
+		);
+		scope.forEach(element =>
+			element.addEventListener('focusout', onBlur, false),
+		);
+		return () => {
+			ownerDocument.removeEventListener('keydown', onKeyDown, false);
+			ownerDocument.removeEventListener('focusin', onFocus, false);
+			scope.forEach(element =>
+				element.removeEventListener('focusin', onFocus, false),
+			);
+			scope.forEach(element =>
+				element.removeEventListener('focusout', onBlur, false),
+			);
+		};
+	}, [scopeRef, contain, callbacksRef, scopeVersion]);
+
+	// NOTE(joel): Browsers move focus to the body without firing any event when
+	// the focused element is removed, disabled or hidden. Watch the scope for
+	// such changes and move focus to a neighbor of the lost element instead.
+	React.useEffect(() => {
+		let scope = scopeRef.current;
+		if (!contain || scope.length === 0) return;
+
+		let ownerDocument = getOwnerDocument(scope[0]);
+		let ownerWindow = getOwnerWindow(scope[0]);
+		if (!ownerWindow.MutationObserver) return;
+
+		/**
+		 * recoverFocus moves focus to a neighbor of the focused element if it was
+		 * lost.
+		 * @param {MutationRecord[]} records
+		 */
+		function recoverFocus(records) {
+			let lostElement = focusedNode.current;
+			if (!lostElement || !isTrapActive(trapRef.current)) return;
+
+			let activeElement = getActiveElement(ownerDocument);
+			if (
+				activeElement &&
+				activeElement !== ownerDocument.body &&
+				activeElement !== lostElement
+			) {
+				return;
+			}
+			if (!isFocusLost(lostElement, scopeRef)) return;
+
+			let target = callbacksRef.current.onFocusLoss?.(lostElement);
+			if (target === false) return;
+			if (!target) {
+				target = getFocusRecoveryTarget(
+					scopeRef,
+					getFocusLossBoundary(lostElement, records),
+				);
+			}
+			if (target) {
+				focusedNode.current = target;
+				focusElement(
+					target,
+					getScrollBehavior(optionsRef.current.scrollBehavior, 'tab', true),
+				);
+				if (process.env.NODE_ENV !== 'production') {
+					logDebug(
+						scopeRef,
+						'contain',
+						'the focused element was removed, disabled or hidden',
+						lostElement,
+						getActiveElement(ownerDocument),
+					);
+				}
+			}
+		}
+
+		let observer = new ownerWindow.MutationObserver(recoverFocus);
+		if (scope[0].parentNode) {
+			observer.observe(scope[0].parentNode, { childList: true });
+		}
+		for (let node of scope) {
+			if (node.nodeType !== 1) continue;
+			observer.observe(node, {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeFilter: FOCUS_LOSS_ATTRIBUTES,
+			});
+		}
+		return () => {
+			// NOTE(joel): Removing nodes usually changes the scope nodes as well,
+			// which re-runs this effect. Handle the pending records first, so that
+			// the removal isn't lost.
+			let records = observer.takeRecords();
+			if (records.length > 0) recoverFocus(records);
+			observer.disconnect();
+		};
+	}, [scopeRef, contain, callbacksRef, scopeVersion]);
+
+	// NOTE(joel): Cancel the current RequestAnimationFrame
+	React.useEffect(
+		() => () =>
+			getOwnerWindow(scopeRef.current[0]).cancelAnimationFrame(raf.current),
+		[scopeRef, raf],
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const FOCUS_LOSS_ATTRIBUTES = [
+	'class',
+	'disabled',
+	'hidden',
+	'inert',
+	'style',
+	'tabindex',
+];
+
+/**
+ * isFocusLost tests if `element` can no longer hold focus within the scope,
+ * because it was removed, disabled or hidden.
+ * @param {HTMLElement} element
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ */
+function isFocusLost(element, scopeRef) {
+	return (
+		!element.isConnected ||
+		!isElementInChildScope(element, scopeRef) ||
+		!element.matches(FOCUSABLE_ELEMENT_SELECTOR) ||
+		!isFocusableElement(element) ||
+		!isElementVisible(element)
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getFocusLossBoundary returns a function that tests if an element comes after
+ * the place of `lostElement` in document order. If the element was removed,
+ * that place is taken from the mutation `records` that removed it.
+ * @param {HTMLElement} lostElement
+ * @param {MutationRecord[]} records
+ * @returns {(element: Element) => boolean}
+ */
+function getFocusLossBoundary(lostElement, records) {
+	if (lostElement.isConnected) {
+		return element => isFollowingSubtree(lostElement, element);
+	}
+
+	for (let record of records) {
+		for (let node of record.removedNodes) {
+			if (!nodeContains(node, lostElement)) continue;
+
+			let { nextSibling, target } = record;
+			if (nextSibling?.isConnected) {
+				return element =>
+					element === nextSibling ||
+					isFollowingSubtree(nextSibling, element) ||
+					nodeContains(nextSibling, element);
+			}
+			if (target.isConnected) {
+				return element => isFollowingSubtree(target, element);
+			}
+		}
+	}
+
+	// NOTE(joel): Without a known place, recover to the first element.
+	return () => true;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isFollowingSubtree tests if `element` comes after `node` and all of its
+ * descendants in document order.
+ * @param {Node} node
+ * @param {Element} element
+ */
+function isFollowingSubtree(node, element) {
+	return (
+		(node.compareDocumentPosition(element) &
+			node.DOCUMENT_POSITION_FOLLOWING) !==
+			0 && !nodeContains(node, element)
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getFocusRecoveryTarget returns the element that receives focus after the
+ * focused element of the scope was lost: The next tabbable element after it,
+ * then the previous one, then the first focusable element of the scope.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {(element: Element) => boolean} isAfterLostElement
+ * @returns {HTMLElement | null}
+ */
+function getFocusRecoveryTarget(scopeRef, isAfterLostElement) {
+	if (scopeRef.current.length === 0) return null;
+
+	let elements = getFocusableElementsInScope(scopeRef, { tabbable: true });
+	return (
+		elements.find(isAfterLostElement) ??
+		elements[elements.length - 1] ??
+		getFocusableElementsInScope(scopeRef)[0] ??
+		null
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * useScopeFocusWithin tracks whether focus is inside the scope or any of its
+ * child scopes. Losing focus is only reported a frame later, so that blur and
+ * refocus round trips, e.g. a contained scope pulling focus back, don't count.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {RefObject<FocusScopeCallbacks>} callbacksRef
+ * @returns {boolean}
+ */
+function useScopeFocusWithin(scopeRef, callbacksRef) {
+	let [isFocusWithin, setFocusWithin] = React.useState(false);
+
+	useLayoutEffect(() => {
+		let ownerDocument = getOwnerDocument(scopeRef.current[0]);
+		let ownerWindow = getOwnerWindow(scopeRef.current[0]);
+		let current = false;
+		let raf = null;
+
+		/**
+		 * update
+		 * @param {boolean} within
+		 */
+		function update(within) {
+			if (within === current) return;
+			current = within;
+			setFocusWithin(within);
+			callbacksRef.current.onFocusWithinChange?.(within);
+		}
+
+		function check() {
+			ownerWindow.cancelAnimationFrame(raf);
+			raf = ownerWindow.requestAnimationFrame(() => {
+				update(
+					isElementInChildScope(getActiveElement(ownerDocument), scopeRef),
+				);
+			});
+		}
+
+		/**
+		 * onFocusIn
+		 * @param {FocusEvent} e
+		 */
+		function onFocusIn(e) {
+			if (isElementInChildScope(getEventTarget(e), scopeRef)) {
+				ownerWindow.cancelAnimationFrame(raf);
+				update(true);
+			} else {
+				check();
+			}
+		}
+
+		update(isElementInChildScope(getActiveElement(ownerDocument), scopeRef));
+
+		// NOTE(joel): Listen in the bubble phase, so that the containment
+		// listeners on the scope nodes schedule their refocus before our check.
+		ownerDocument.addEventListener('focusin', onFocusIn, false);
+		ownerDocument.addEventListener('focusout', check, false);
+		return () => {
+			ownerDocument.removeEventListener('focusin', onFocusIn, false);
+			ownerDocument.removeEventListener('focusout', check, false);
+			ownerWindow.cancelAnimationFrame(raf);
+		};
+	}, [scopeRef, callbacksRef]);
+
+	return isFocusWithin;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const LIVE_REGION_SELECTOR =
+	'[aria-live], [role="alert"], [role="status"], [role="log"]';
+
+/**
+ * useHideOutside hides everything outside of the scope (and its child scopes)
+ * from assistive technology by setting `aria-hidden` or `inert` on it, as long
+ * as its trap is active. Live regions stay visible, so that announcements
+ * still reach the user.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {boolean | 'aria-hidden' | 'inert'} hideOutside
+ * @param {number} scopeVersion
+ */
+function useHideOutside(scopeRef, hideOutside, scopeVersion) {
+	// NOTE(joel): Child scopes can be portaled into containers we already hid,
+	// so we recompute the hidden elements whenever a child scope mounts,
+	// unmounts or changes its nodes.
+	let [childVersion, bumpChildVersion] = React.useReducer(v => v + 1, 0);
+	useLayoutEffect(() => {
+		if (!hideOutside) return;
+
+		let handler = changedScopeRef => {
+			if (isAncestorScope(scopeRef, changedScopeRef)) {
+				bumpChildVersion();
+			}
+		};
+		scopeTreeHandlers.add(handler);
+		return () => {
+			scopeTreeHandlers.delete(handler);
+		};
+	}, [scopeRef, hideOutside]);
+
+	// NOTE(joel): A paused trap (or one below another trap) must not hide the
+	// scopes stacked on top of it, so we stop hiding while the trap is not
+	// active and hide again once it resumes.
+	let [trapVersion, bumpTrapVersion] = React.useReducer(v => v + 1, 0);
+	useLayoutEffect(() => {
+		if (!hideOutside) return;
+
+		let handler = (prevTrap, nextTrap) => {
+			if (prevTrap?.scopeRef === scopeRef || nextTrap?.scopeRef === scopeRef) {
+				bumpTrapVersion();
+			}
+		};
+		activeTrapHandlers.add(handler);
+		return () => {
+			activeTrapHandlers.delete(handler);
+		};
+	}, [scopeRef, hideOutside]);
+
+	useLayoutEffect(() => {
+		let scope = scopeRef.current;
+		if (!hideOutside || scope.length === 0 || isScopeSuspended(scopeRef)) {
+			return;
+		}
+
+		let attribute = hideOutside === 'inert' ? 'inert' : 'aria-hidden';
+		let ownerDocument = getOwnerDocument(scope[0]);
+		let visibleElements = getChildScopeNodes(scopeRef).filter(
+			node => node.nodeType === 1,
+		);
+		for (let liveRegion of ownerDocument.querySelectorAll(
+			LIVE_REGION_SELECTOR,
+		)) {
+			visibleElements.push(liveRegion);
+		}
+
+		let elements = getElementsOutside(ownerDocument.body, visibleElements);
+		elements.forEach(element => hideElement(element, attribute));
+		return () => {
+			elements.forEach(element => unhideElement(element, attribute));
+		};
+	}, [scopeRef, hideOutside, scopeVersion, childVersion, trapVersion]);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getElementsOutside returns the topmost elements below `root` that neither
+ * are, contain nor are contained by any of `visibleElements`.
+ * @param {Element} root
+ * @param {Element[]} visibleElements
+ * @returns {Element[]}
+ */
+function getElementsOutside(root, visibleElements) {
+	let visible = new Set(visibleElements);
+	let ancestors = new Set();
+	for (let element of visibleElements) {
+		let parent = getComposedParent(element);
+		while (parent && !ancestors.has(parent)) {
+			ancestors.add(parent);
+			parent = getComposedParent(parent);
+		}
+	}
+
+	let elements = [];
+	let stack = [root];
+	while (stack.length > 0) {
+		for (let child of getComposedChildren(stack.pop())) {
+			if (visible.has(child)) continue;
+			if (ancestors.has(child)) {
+				stack.push(child);
+			} else {
+				elements.push(child);
+			}
+		}
+	}
+	return elements;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * hideElement sets `attribute` on `element`, remembering its previous value
+ * for the first scope that hides it.
+ * @param {Element} element
+ * @param {'aria-hidden' | 'inert'} attribute
+ */
+function hideElement(element, attribute) {
+	let elements = hiddenElements.get(attribute);
+	if (!elements) {
+		elements = new Map();
+		hiddenElements.set(attribute, elements);
+	}
+
+	let entry = elements.get(element);
+	if (!entry) {
+		entry = { count: 0, value: element.getAttribute(attribute) };
+		elements.set(element, entry);
+	}
+	entry.count++;
+	element.setAttribute(attribute, attribute === 'inert' ? '' : 'true');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * unhideElement releases `element` from one scope hiding it, and restores the
+ * previous value of `attribute` once no scope hides it anymore.
+ * @param {Element} element
+ * @param {'aria-hidden' | 'inert'} attribute
+ */
+function unhideElement(element, attribute) {
+	let elements = hiddenElements.get(attribute);
+	let entry = elements?.get(element);
+	if (!entry) return;
+
+	entry.count--;
+	if (entry.count > 0) return;
+
+	elements.delete(element);
+	if (entry.value == null) {
+		element.removeAttribute(attribute);
+	} else {
+		element.setAttribute(attribute, entry.value);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * matchesAllowOutside tests if `target` is (or is inside of) an element that
+ * `allowOutside` lets receive focus while a scope contains focus.
+ * @param {Element | null} target
+ * @param {AllowOutside | AllowOutside[] | undefined} allowOutside
+ * @returns {boolean}
+ */
+function matchesAllowOutside(target, allowOutside) {
+	if (!target || allowOutside == null) return false;
+
+	let matchers = Array.isArray(allowOutside) ? allowOutside : [allowOutside];
+	return matchers.some(matcher => {
+		if (isFunction(matcher)) return Boolean(matcher(target));
+		if (isString(matcher)) return target.closest?.(matcher) != null;
+		if (matcher && 'current' in matcher) {
+			return nodeContains(matcher.current, target);
+		}
+		return nodeContains(matcher, target);
+	});
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * pushTrap adds `trap` to the trap stack. Traps are usually stacked in mount
+ * order, but a trap is always kept below the traps of its child scopes, which
+ * mount before their parents do.
+ * @param {FocusTrap} trap
+ */
+function pushTrap(trap) {
+	let index = trapStack.findIndex(t =>
+		isAncestorScope(trap.scopeRef, t.scopeRef),
+	);
+	if (index === -1) {
+		trapStack.push(trap);
+	} else {
+		trapStack.splice(index, 0, trap);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * removeTrap removes `trap` from the trap stack.
+ * @param {FocusTrap} trap
+ */
+function removeTrap(trap) {
+	let index = trapStack.indexOf(trap);
+	if (index !== -1) {
+		trapStack.splice(index, 1);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getActiveTrap returns the topmost trap of the trap stack.
+ * @returns {FocusTrap | null}
+ */
+function getActiveTrap() {
+	return trapStack[trapStack.length - 1] ?? null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * updateActiveTrap notifies the previously and the currently active trap if
+ * the active trap changed since the last call. Call it whenever the trap stack
+ * changes or a trap is paused or resumed.
+ */
+function updateActiveTrap() {
+	let trap = getActiveTrap();
+	let nextActiveTrap = isTrapActive(trap) ? trap : null;
+	if (nextActiveTrap === currentActiveTrap) return;
+
+	let prevActiveTrap = currentActiveTrap;
+	currentActiveTrap = nextActiveTrap;
+	if (process.env.NODE_ENV !== 'production') {
+		if (prevActiveTrap) {
+			logDebug(
+				prevActiveTrap.scopeRef,
+				'deactivate',
+				nextActiveTrap
+					? 'another trap became active'
+					: 'the trap was paused or unmounted',
+				null,
+				null,
+			);
+		}
+		if (nextActiveTrap) {
+			logDebug(
+				nextActiveTrap.scopeRef,
+				'activate',
+				'the trap became the topmost unpaused trap',
+				null,
+				null,
+			);
+		}
+	}
+	prevActiveTrap?.callbacksRef.current.onDeactivate?.();
+	nextActiveTrap?.callbacksRef.current.onActivate?.();
+	activeTrapHandlers.forEach(handler =>
+		handler(prevActiveTrap, nextActiveTrap),
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isTrapActive tests if `trap` currently contains focus, i.e. it is the
+ * topmost trap and not paused.
+ * @param {FocusTrap | null} trap
+ */
+function isTrapActive(trap) {
+	return trap != null && !trap.paused && getActiveTrap() === trap;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isScopeSuspended tests if the scope referenced by `scopeRef` is a trap that
+ * is currently paused, either explicitly or by a trap stacked on top of it.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ */
+function isScopeSuspended(scopeRef) {
+	let trap = trapStack.find(t => t.scopeRef === scopeRef);
+	return trap != null && !isTrapActive(trap);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * resumeTrap moves focus back into `trap`, preferably to the node that was
+ * focused last before it got paused.
+ * @param {FocusTrap | null} trap
+ */
+function resumeTrap(trap) {
+	if (!isTrapActive(trap)) return;
+
+	let scopeRef = trap.scopeRef;
+	let ownerDocument = getOwnerDocument(scopeRef.current[0]);
+	let activeElement = getActiveElement(ownerDocument);
+	if (isElementInChildScope(activeElement, scopeRef)) return;
+
+	activeScope = scopeRef;
+	let node = trap.focusedNode.current;
+	if (node && nodeContains(ownerDocument.body, node)) {
+		focusElement(node);
+	} else if (scopeRef.current.length > 0) {
+		focusFirstInScope(scopeRef);
+	}
+	if (process.env.NODE_ENV !== 'production') {
+		logDebug(
+			scopeRef,
+			'contain',
+			'the trap resumed',
+			activeElement,
+			getActiveElement(ownerDocument),
+		);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * addScopeTreeNode adds `scopeRef` to the scope tree as a child of
+ * `parentScopeRef`. Nodes are created lazily, because child scopes register
+ * themselves before their parents do.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {RefObject<HTMLElement[]> | null} parentScopeRef
+ */
+function addScopeTreeNode(scopeRef, parentScopeRef) {
+	let node = getScopeTreeNode(scopeRef);
+	let parent = getScopeTreeNode(parentScopeRef);
+	node.parent?.children.delete(node);
+	node.parent = parent;
+	parent.children.add(node);
+	notifyScopeTreeChange(scopeRef);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * removeScopeTreeNode removes `scopeRef` from the scope tree. Its child scopes
+ * are moved up to its parent.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ */
+function removeScopeTreeNode(scopeRef) {
+	let node = scopeTree.get(scopeRef);
+	if (!node) return;
+
+	// NOTE(joel): Notify while the scope is still in the tree, so that handlers
+	// can tell whether it belongs to them.
+	notifyScopeTreeChange(scopeRef);
+	let parent = node.parent ?? scopeTree.get(null);
+	parent.children.delete(node);
+	for (let child of node.children) {
+		child.parent = parent;
+		parent.children.add(child);
+	}
+	scopeTree.delete(scopeRef);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * notifyScopeTreeChange notifies all scope tree handlers that `scopeRef` was
+ * added, removed or changed its nodes.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ */
+function notifyScopeTreeChange(scopeRef) {
+	scopeTreeHandlers.forEach(handler => handler(scopeRef));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getScopeTreeNode returns the scope tree node for `scopeRef`, creating it if
+ * necessary.
+ * @param {RefObject<HTMLElement[]> | null} scopeRef
+ * @returns {ScopeTreeNode}
+ */
+function getScopeTreeNode(scopeRef) {
+	let node = scopeTree.get(scopeRef);
+	if (!node) {
+		node = { scopeRef, parent: null, children: new Set() };
+		scopeTree.set(scopeRef, node);
+	}
+	return node;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getParentScope returns the `scopeRef` of the closest parent scope of
+ * `scopeRef`, or `null` if it is a root scope.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @returns {RefObject<HTMLElement[]> | null}
+ */
+function getParentScope(scopeRef) {
+	return scopeTree.get(scopeRef)?.parent?.scopeRef ?? null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isAncestorScope tests if `ancestor` is a (transitive) parent scope of
+ * `scopeRef`.
+ * @param {RefObject<HTMLElement[]>} ancestor
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ */
+function isAncestorScope(ancestor, scopeRef) {
+	let node = scopeTree.get(scopeRef)?.parent;
+	while (node) {
+		if (node.scopeRef === ancestor) {
+			return true;
+		}
+		node = node.parent;
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getScopeForElement returns the `scopeRef` of the innermost scope that
+ * contains `element`, or `null` if `element` is not in any scope.
+ * @param {Element} element
+ * @returns {RefObject<HTMLElement[]> | null}
+ */
+function getScopeForElement(element) {
+	let result = null;
+	let resultDepth = -1;
+	for (let node of scopeTree.values()) {
+		if (!node.scopeRef || !isElementInScope(element, node.scopeRef.current)) {
+			continue;
+		}
+
+		let depth = 0;
+		for (let parent = node.parent; parent; parent = parent.parent) {
+			depth++;
+		}
+		if (depth > resultDepth) {
+			result = node.scopeRef;
+			resultDepth = depth;
+		}
+	}
+	return result;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isElementInChildScope tests if `element` is inside the scope referenced by
+ * `scopeRef` or any of its child scopes, e.g. ones rendered through portals.
+ * @param {Element} element
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ */
+function isElementInChildScope(element, scopeRef) {
+	let node = scopeTree.get(scopeRef);
+	if (!node) {
+		return isElementInScope(element, scopeRef.current);
+	}
+
+	let stack = [node];
+	while (stack.length > 0) {
+		let current = stack.pop();
+		if (isElementInScope(element, current.scopeRef.current)) {
+			return true;
+		}
+		for (let child of current.children) {
+			stack.push(child);
+		}
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getChildScopeNodes returns the nodes of the scope referenced by `scopeRef`
+ * and of all its child scopes.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @returns {Node[]}
+ */
+function getChildScopeNodes(scopeRef) {
+	let node = scopeTree.get(scopeRef) ?? { scopeRef, children: new Set() };
+	let nodes = [];
+	let stack = [node];
+	while (stack.length > 0) {
+		let current = stack.pop();
+		for (let scopeNode of current.scopeRef.current) {
+			nodes.push(scopeNode);
+		}
+		for (let child of current.children) {
+			stack.push(child);
+		}
+	}
+	return nodes;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isElementInScope
+ * @param {Element} element
+ * @param {HTMLElement[]} scope
+ */
+function isElementInScope(element, scope) {
+	return scope.some(node => nodeContains(node, element));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * nodeContains tests if `node` contains `other` in the composed tree, i.e.
+ * nodes inside of (open or closed) shadow roots are contained by their host.
+ * @param {Node | null} node
+ * @param {Node | null} other
+ */
+function nodeContains(node, other) {
+	if (!node || !other) return false;
+
+	let current = other;
+	while (current) {
+		if (current === node) return true;
+		current = current.parentNode ?? getShadowHost(current);
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getShadowHost returns the host of `node` if it is a shadow root.
+ * @param {Node} node
+ * @returns {Element | null}
+ */
+function getShadowHost(node) {
+	return node.nodeType === 11 && node.host ? node.host : null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getOwnerWindow returns the window of the document that owns `node`, e.g. the
+ * window of an iframe for nodes rendered into it.
+ * @param {Node} [node]
+ * @returns {Window}
+ */
+function getOwnerWindow(node) {
+	return getOwnerDocument(node)?.defaultView ?? window;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getActiveElement returns the focused element of `doc`. Other than
+ * `document.activeElement`, which stops at the shadow host, this descends into
+ * open shadow roots.
+ * @param {Document} doc
+ * @returns {Element | null}
+ */
+function getActiveElement(doc) {
+	let activeElement = doc.activeElement;
+	while (activeElement?.shadowRoot?.activeElement) {
+		activeElement = activeElement.shadowRoot.activeElement;
+	}
+	return activeElement;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getEventTarget returns the original target of `e`. Events that originate
+ * inside a shadow root are retargeted to the shadow host once they cross the
+ * shadow boundary.
+ * @param {Event} e
+ * @returns {Element}
+ */
+function getEventTarget(e) {
+	return e.composedPath?.()[0] ?? e.target;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const focusableElements = [
+	'input:not([disabled]):not([type=hidden])',
+	'select:not([disabled])',
+	'textarea:not([disabled])',
+	'button:not([disabled])',
+	'a[href]',
+	'area[href]',
+	'summary',
+	'iframe',
+	'object',
+	'embed',
+	'audio[controls]',
+	'video[controls]',
+	'[contenteditable]:not([contenteditable="false"])',
+];
+
+const FOCUSABLE_ELEMENT_SELECTOR =
+	focusableElements.join(':not([hidden]),') +
+	',[tabindex]:not([disabled]):not([hidden])';
+
+focusableElements.push('[tabindex]:not([tabindex="-1"]):not([disabled])');
+
+const TABBABLE_ELEMENT_SELECTOR = focusableElements.join(
+	':not([hidden]):not([tabindex="-1"]),',
+);
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} FocusManagerOptions
+ * @prop {HTMLElement} [from]
+ * @prop {boolean} [tabbable]
+ * @prop {boolean} [wrap]
+ * @prop {(node: Element) => boolean} [accept]
+ * @prop {string | string[]} [selectors]
+ */
+
+/**
+ * @typedef {Object} FocusableOptions
+ * @prop {(node: Element) => boolean} [accept]
+ * @prop {string | string[]} [selectors]
+ */
+
+/**
+ * getFocusableTreeWalker creates a TreeWalker that matches all
+ * focusable/tabbable elements. If `root` contains shadow roots (or is inside
+ * of one), the walker follows the composed tree instead: It descends into
+ * open shadow roots and visits slotted content where it is rendered, but only
+ * implements `root`, `currentNode`, `nextNode()` and `previousNode()`.
+ * `selectors` adds elements that count as focusable, `accept` can reject any
+ * element, and elements with a `data-focus-scope-skip` attribute are skipped
+ * together with their descendants.
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/TreeWalker
+ * @param {FocusManagerOptions} [opts]
+ * @param {HTMLElement} root
+ * @param {HTMLElement[]} [scope]
+ * @returns {TreeWalker | ComposedTreeWalker}
+ */
+export function getFocusableTreeWalker(root, opts, scope) {
+	let filter = createFocusableFilter(root, opts, scope);
+	let walker = hasComposedContent(root)
+		? createComposedTreeWalker(root, filter)
+		: getOwnerDocument(root).createTreeWalker(
+				root,
+				getOwnerWindow(root).NodeFilter.SHOW_ELEMENT,
+				filter,
+		  );
+
+	if (opts?.from) {
+		walker.currentNode = opts.from;
+	}
+
+	return walker;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * createFocusableWalker creates a walker that matches the same elements as
+ * getFocusableTreeWalker. Instead of searching `root` for shadow roots up
+ * front, it only follows the composed tree once it reaches a shadow host (see
+ * createLazyTreeWalker), so that creating one on every key press stays cheap.
+ * @param {HTMLElement} root
+ * @param {FocusManagerOptions} [opts]
+ * @param {HTMLElement[]} [scope]
+ * @returns {ComposedTreeWalker}
+ */
+function createFocusableWalker(root, opts, scope) {
+	let walker = createLazyTreeWalker(
+		root,
+		createFocusableFilter(root, opts, scope),
+	);
+
+	if (opts?.from) {
+		walker.currentNode = opts.from;
+	}
+
+	return walker;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * createFocusableFilter creates the `NodeFilter` of the walkers returned by
+ * getFocusableTreeWalker and createFocusableWalker.
+ * @param {HTMLElement} root
+ * @param {FocusManagerOptions} [opts]
+ * @param {HTMLElement[]} [scope]
+ * @returns {NodeFilter}
+ */
+function createFocusableFilter(root, opts, scope) {
+	let selector = opts?.tabbable
+		? TABBABLE_ELEMENT_SELECTOR
+		: FOCUSABLE_ELEMENT_SELECTOR;
+	let extraSelector = opts?.selectors
+		? [].concat(opts.selectors).join(',')
+		: null;
+	let { NodeFilter } = getOwnerWindow(root);
+	let visibilityCache = new Map();
+	let radioCache = new Map();
+	return {
 		acceptNode(node) {
 			// NOTE(joel): Skip nodes inside the starting node.
-			if (opts?.from?.contains(node)) {
-				return window.NodeFilter.FILTER_REJECT;
+			if (nodeContains(opts?.from, node)) {
+				return NodeFilter.FILTER_REJECT;
+			}
+
+			if (node.hasAttribute('data-focus-scope-skip')) {
+				return NodeFilter.FILTER_REJECT;
+			}
+
+			if (
+				(node.matches(selector) ||
+					(extraSelector != null &&
+						matchesExtraSelector(node, extraSelector, opts.tabbable))) &&
+				(!scope || isElementInScope(node, scope)) &&
+				isFocusableElement(node) &&
+				(!opts?.accept || opts.accept(node)) &&
+				(!opts?.tabbable || isTabbableRadio(node, radioCache)) &&
+				isElementRendered(node, visibilityCache)
+			) {
+				return NodeFilter.FILTER_ACCEPT;
+			}
+
+			return NodeFilter.FILTER_SKIP;
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * hasComposedContent tests if the composed tree below `root` differs from its
+ * DOM tree, i.e. if `root` is inside of a shadow root (where slots render
+ * assigned elements) or if any element below it hosts a shadow root.
+ * @param {Node} root
+ * @returns {boolean}
+ */
+function hasComposedContent(root) {
+	if (isInShadowTree(root) || root.shadowRoot) {
+		return true;
+	}
+	for (let element of root.querySelectorAll?.('*') ?? []) {
+		if (element.shadowRoot) return true;
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isInShadowTree tests if `node` is inside of a shadow root.
+ * @param {Node} node
+ */
+function isInShadowTree(node) {
+	return node.getRootNode?.().nodeType === 11;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * matchesExtraSelector tests if `element` matches the additional focusable
+ * `selector`, applying the same restrictions as the built-in selectors.
+ * @param {Element} element
+ * @param {string} selector
+ * @param {boolean} [tabbable]
+ */
+function matchesExtraSelector(element, selector, tabbable) {
+	return (
+		element.matches(selector) &&
+		!element.hasAttribute('hidden') &&
+		!element.hasAttribute('disabled') &&
+		(!tabbable || element.getAttribute('tabindex') !== '-1')
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isFocusableElement tests the conditions that make an element unfocusable
+ * although it matches the focusable selectors, because they can't be expressed
+ * as a selector: Being inert, being disabled by a fieldset and being a
+ * `summary` that doesn't summarize its `details` element.
+ * @param {Element} element
+ */
+function isFocusableElement(element) {
+	if (isInert(element) || isDisabledByFieldset(element)) {
+		return false;
+	}
+
+	if (element.localName === 'summary' && !element.hasAttribute('tabindex')) {
+		let details = element.parentElement;
+		return (
+			details?.localName === 'details' &&
+			Array.from(details.children).find(
+				child => child.localName === 'summary',
+			) === element
+		);
+	}
+
+	return true;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isInert tests if `element` or any of its ancestors in the composed tree has
+ * the `inert` attribute.
+ * @param {Element} element
+ */
+function isInert(element) {
+	for (let node = element; node; node = getComposedParent(node)) {
+		if (node.hasAttribute('inert')) return true;
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const FORM_CONTROL_NAMES = ['button', 'input', 'select', 'textarea'];
+
+/**
+ * isDisabledByFieldset tests if the form control `element` is disabled by a
+ * `fieldset[disabled]` ancestor. Controls inside of the first `legend` of such
+ * a fieldset stay enabled.
+ * @param {Element} element
+ */
+function isDisabledByFieldset(element) {
+	if (!FORM_CONTROL_NAMES.includes(element.localName)) return false;
+
+	let fieldset = element.closest('fieldset[disabled]');
+	while (fieldset) {
+		let legend = Array.from(fieldset.children).find(
+			child => child.localName === 'legend',
+		);
+		if (!legend || !legend.contains(element)) return true;
+
+		fieldset = fieldset.parentElement?.closest('fieldset[disabled]');
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isTabbableRadio tests if the radio button `element` is the tab stop of its
+ * radio group: The checked radio button, or the first one if none is checked.
+ * Other elements are always tabbable. The tab stops of all groups of a form
+ * (or root node) are computed once and kept in `radioCache`.
+ * @param {Element} element
+ * @param {Map<Node, Map<string, HTMLInputElement>>} radioCache
+ */
+function isTabbableRadio(element, radioCache) {
+	if (element.localName !== 'input' || element.type !== 'radio') return true;
+	if (!element.name) return true;
+
+	let container = element.form ?? element.getRootNode();
+	let tabStops = radioCache.get(container);
+	if (!tabStops) {
+		tabStops = getRadioTabStops(container, element.form);
+		radioCache.set(container, tabStops);
+	}
+	return tabStops.get(element.name) === element;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getRadioTabStops returns the tab stop of every radio group in `container`
+ * by group name. Only radio buttons that belong to `form` are considered.
+ * @param {HTMLFormElement | Node} container
+ * @param {HTMLFormElement | null} form
+ * @returns {Map<string, HTMLInputElement>}
+ */
+function getRadioTabStops(container, form) {
+	let candidates = form ? form.elements : container.querySelectorAll('input');
+	let tabStops = new Map();
+	let checkedGroups = new Set();
+	for (let radio of candidates) {
+		if (
+			radio.localName !== 'input' ||
+			radio.type !== 'radio' ||
+			!radio.name ||
+			radio.form !== form ||
+			radio.disabled ||
+			checkedGroups.has(radio.name) ||
+			isDisabledByFieldset(radio)
+		) {
+			continue;
+		}
+
+		if (radio.checked) {
+			tabStops.set(radio.name, radio);
+			checkedGroups.add(radio.name);
+		} else if (!tabStops.has(radio.name)) {
+			tabStops.set(radio.name, radio);
+		}
+	}
+	return tabStops;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} ComposedTreeWalker
+ * @prop {Node} root
+ * @prop {Node} currentNode
+ * @prop {() => Element | null} nextNode
+ * @prop {() => Element | null} previousNode
+ */
+
+/**
+ * createComposedTreeWalker creates a TreeWalker-like object that walks all
+ * elements below `root` in composed order. `filter` follows the semantics of a
+ * native `NodeFilter`.
+ * @param {Node} root
+ * @param {NodeFilter} filter
+ * @returns {ComposedTreeWalker}
+ */
+function createComposedTreeWalker(root, filter) {
+	let { NodeFilter } = getOwnerWindow(root);
+
+	// NOTE(joel): The composed tree is walked lazily, so that finding the next
+	// node only visits the nodes in between. Children are cached together with
+	// each child's parent and position, to find siblings quickly.
+	let children = new Map();
+	let parents = new Map();
+	let positions = new Map();
+
+	/**
+	 * getChildren
+	 * @param {Node} node
+	 * @returns {Element[]}
+	 */
+	function getChildren(node) {
+		if (!children.has(node)) {
+			let nodeChildren = getComposedChildren(node);
+			nodeChildren.forEach((child, index) => {
+				parents.set(child, node);
+				positions.set(child, index);
+			});
+			children.set(node, nodeChildren);
+		}
+		return children.get(node);
+	}
+
+	let results = new Map();
+	function accept(node) {
+		if (!results.has(node)) {
+			results.set(node, filter.acceptNode(node));
+		}
+		return results.get(node);
+	}
+
+	/**
+	 * getNext returns the node following `node` in pre-order, skipping the
+	 * descendants of `node` if `skipChildren` is set.
+	 * @param {Node} node
+	 * @param {boolean} skipChildren
+	 * @returns {Element | null}
+	 */
+	function getNext(node, skipChildren) {
+		if (!skipChildren && getChildren(node).length > 0) {
+			return getChildren(node)[0];
+		}
+
+		let current = node;
+		while (current !== root) {
+			let parent = parents.get(current);
+			let siblings = getChildren(parent);
+			let position = positions.get(current);
+			if (position + 1 < siblings.length) {
+				return siblings[position + 1];
+			}
+			current = parent;
+		}
+		return null;
+	}
+
+	/**
+	 * getLastDescendant returns the last node in pre-order below `node`, without
+	 * descending into rejected nodes.
+	 * @param {Node} node
+	 * @returns {Element | null}
+	 */
+	function getLastDescendant(node) {
+		let current = node;
+		while (getChildren(current).length > 0) {
+			let nodeChildren = getChildren(current);
+			current = nodeChildren[nodeChildren.length - 1];
+			if (accept(current) === NodeFilter.FILTER_REJECT) break;
+		}
+		return current === node ? null : current;
+	}
+
+	/**
+	 * getPrevious returns the node preceding `node` in pre-order. Ancestors of
+	 * `node` are returned even if they are rejected.
+	 * @param {Element} node
+	 * @returns {Element | null}
+	 */
+	function getPrevious(node) {
+		let parent = parents.get(node);
+		let position = positions.get(node);
+		if (position > 0) {
+			let sibling = getChildren(parent)[position - 1];
+			if (accept(sibling) === NodeFilter.FILTER_REJECT) return sibling;
+			return getLastDescendant(sibling) ?? sibling;
+		}
+		return parent === root ? null : parent;
+	}
+
+	/**
+	 * getPosition returns where the walker continues from if `node` is its
+	 * current node: The closest composed ancestor of `node` that is part of the
+	 * composed tree below `root` (e.g. the host of a closed shadow root), or
+	 * `'start'` or `'end'` for nodes outside of it.
+	 * @param {Node} node
+	 * @returns {Element | 'start' | 'end'}
+	 */
+	function getPosition(node) {
+		let ancestors = [];
+		let current = node;
+		while (current && current !== root) {
+			if (current.nodeType !== 11) ancestors.push(current);
+			current =
+				current.assignedSlot ?? current.parentNode ?? getShadowHost(current);
+		}
+
+		if (current !== root) {
+			// NOTE(joel): `node` is outside of `root`.
+			let position = root.compareDocumentPosition(node);
+			return position & 2 ? 'start' : 'end';
+		}
+
+		let position = 'start';
+		let parent = root;
+		for (let i = ancestors.length - 1; i >= 0; i--) {
+			if (!getChildren(parent).includes(ancestors[i])) break;
+			position = ancestors[i];
+			parent = ancestors[i];
+		}
+		return position;
+	}
+
+	let currentNode = root;
+	let currentPosition = 'start';
+
+	return {
+		root,
+		get currentNode() {
+			return currentNode;
+		},
+		set currentNode(node) {
+			currentNode = node;
+			currentPosition = getPosition(node);
+		},
+		nextNode() {
+			if (currentPosition === 'end') return null;
+
+			let node =
+				currentPosition === 'start'
+					? getChildren(root)[0] ?? null
+					: getNext(currentPosition, false);
+			while (node) {
+				let result = accept(node);
+				if (result === NodeFilter.FILTER_ACCEPT) {
+					currentNode = node;
+					currentPosition = node;
+					return node;
+				}
+				node = getNext(node, result === NodeFilter.FILTER_REJECT);
 			}
+			return null;
+		},
+		previousNode() {
+			if (currentPosition === 'start') return null;
 
-			if (
-				node.matches(selector) &&
-				isElementVisible(node) &&
-				(!scope || isElementInScope(node, scope))
-			) {
-				return window.NodeFilter.FILTER_ACCEPT;
+			let node =
+				currentPosition === 'end'
+					? getLastDescendant(root)
+					: getPrevious(currentPosition);
+			while (node) {
+				if (accept(node) === NodeFilter.FILTER_ACCEPT) {
+					currentNode = node;
+					currentPosition = node;
+					return node;
+				}
+				node = getPrevious(node);
 			}
+			return null;
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * createLazyTreeWalker creates a ComposedTreeWalker that walks `root` with a
+ * native TreeWalker, until a step starts at or passes by a shadow host. From
+ * then on, it walks the composed tree with createComposedTreeWalker, and
+ * repeats the step there.
+ * @param {Node} root
+ * @param {NodeFilter} filter
+ * @returns {ComposedTreeWalker}
+ */
+function createLazyTreeWalker(root, filter) {
+	if (isInShadowTree(root) || root.shadowRoot) {
+		return createComposedTreeWalker(root, filter);
+	}
 
-			return window.NodeFilter.FILTER_SKIP;
+	let composed = false;
+	let passedShadowHost = false;
+	let walker = getOwnerDocument(root).createTreeWalker(
+		root,
+		getOwnerWindow(root).NodeFilter.SHOW_ELEMENT,
+		{
+			acceptNode(node) {
+				if (node.shadowRoot) passedShadowHost = true;
+				return filter.acceptNode(node);
+			},
 		},
-	});
+	);
 
-	if (opts?.from) {
-		walker.currentNode = opts.from;
+	/**
+	 * walkComposedTree continues from `node` with a composed walker.
+	 * @param {Node} node
+	 */
+	function walkComposedTree(node) {
+		composed = true;
+		walker = createComposedTreeWalker(root, filter);
+		walker.currentNode = node;
 	}
 
-	return walker;
+	/**
+	 * step moves the walker in `direction`.
+	 * @param {'nextNode' | 'previousNode'} direction
+	 * @returns {Element | null}
+	 */
+	function step(direction) {
+		if (!composed) {
+			let from = walker.currentNode;
+			// NOTE(joel): The native walker doesn't pass `from` and its ancestors to
+			// the filter, although their shadow roots can contain the nodes right
+			// before or after `from`.
+			if (!hasShadowHostAncestor(from, root)) {
+				let node = walker[direction]();
+				if (!passedShadowHost) return node;
+			}
+			walkComposedTree(from);
+		}
+		return walker[direction]();
+	}
+
+	return {
+		root,
+		get currentNode() {
+			return walker.currentNode;
+		},
+		set currentNode(node) {
+			if (!composed && node && isInShadowTree(node)) {
+				walkComposedTree(node);
+			} else {
+				walker.currentNode = node;
+			}
+		},
+		nextNode() {
+			return step('nextNode');
+		},
+		previousNode() {
+			return step('previousNode');
+		},
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * hasShadowHostAncestor tests if `node` or any of its ancestors up to `root`
+ * hosts a shadow root.
+ * @param {Node} node
+ * @param {Node} root
+ */
+function hasShadowHostAncestor(node, root) {
+	for (let current = node; current; current = current.parentNode) {
+		if (current.shadowRoot) return true;
+		if (current === root) break;
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getComposedChildren returns the child elements of `node` as they are
+ * rendered: The children of its open shadow root for shadow hosts, and the
+ * assigned elements (or fallback content) for slots.
+ * @param {Node} node
+ * @returns {Element[]}
+ */
+function getComposedChildren(node) {
+	if (node.shadowRoot) {
+		return Array.from(node.shadowRoot.children);
+	}
+
+	if (
+		node.localName === 'slot' &&
+		typeof node.assignedElements === 'function'
+	) {
+		let assigned = node.assignedElements();
+		if (assigned.length > 0) return assigned;
+	}
+
+	return Array.from(node.children ?? []);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getComposedParent returns the parent element of `element` in the composed
+ * tree, i.e. the assigned slot for slotted elements and the shadow host for
+ * top-level elements inside a shadow root.
+ * @param {Element} element
+ * @returns {Element | null}
+ */
+function getComposedParent(element) {
+	if (element.assignedSlot || element.parentElement) {
+		return element.assignedSlot ?? element.parentElement;
+	}
+	return element.parentNode ? getShadowHost(element.parentNode) : null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isStyleVisible tests if a given `element`s style indicates a "visible" state.
+ * @param {Element} element
+ */
+function isStyleVisible(element) {
+	// NOTE(joel): Use the constructors of the element's own window, so that
+	// elements inside iframes pass the `instanceof` checks.
+	const { HTMLElement, SVGElement } = getOwnerWindow(element);
+	if (!(element instanceof HTMLElement) && !(element instanceof SVGElement)) {
+		return false;
+	}
+
+	let { display, visibility } = element.style;
+
+	let isVisible =
+		display !== 'none' && visibility !== 'hidden' && visibility !== 'collapse';
+
+	if (isVisible) {
+		const { getComputedStyle } = element.ownerDocument.defaultView;
+		let { display: computedDisplay, visibility: computedVisibility } =
+			getComputedStyle(element);
+
+		isVisible =
+			computedDisplay !== 'none' &&
+			computedVisibility !== 'hidden' &&
+			computedVisibility !== 'collapse';
+	}
+
+	return isVisible;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isAttributeVisible tests if a given `element`s attributes indicate a
+ * "visible" state.
+ * @param {Element} element
+ * @param {Element} [childElement]
+ */
+function isAttributeVisible(element, childElement) {
+	return (
+		!element.hasAttribute('hidden') &&
+		(element.nodeName === 'DETAILS' &&
+		childElement &&
+		childElement.nodeName !== 'SUMMARY'
+			? element.hasAttribute('open')
+			: true)
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isContentVisible tests if the contents of `element` are rendered, i.e. it
+ * doesn't skip them using `content-visibility: hidden`.
+ * @param {Element} element
+ */
+function isContentVisible(element) {
+	const { getComputedStyle } = element.ownerDocument.defaultView;
+	return getComputedStyle(element).contentVisibility !== 'hidden';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isElementVisible tests if a given `element` indicates a "visible" state.
+ * @param {Element} element
+ * @param {Element} [childElement]
+ */
+export function isElementVisible(element, childElement) {
+	if (
+		childElement &&
+		(!isAttributeVisible(element, childElement) || !isContentVisible(element))
+	) {
+		return false;
+	}
+	return isElementRendered(element, new Map());
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+const CHECK_VISIBILITY_OPTIONS = {
+	visibilityProperty: true,
+	// NOTE(joel): Older name of `visibilityProperty`.
+	checkVisibilityCSS: true,
+};
+
+/**
+ * isElementRendered tests if `element` is visible. It uses the native
+ * `checkVisibility()` where available. Otherwise it checks `element` and its
+ * ancestors, memoizing the results for the ancestors in `cache`, so that
+ * checking many elements of the same subtree visits every ancestor only once.
+ * @param {Element} element
+ * @param {Map<Element, boolean>} cache
+ */
+function isElementRendered(element, cache) {
+	if (isFunction(element.checkVisibility)) {
+		return element.checkVisibility(CHECK_VISIBILITY_OPTIONS);
+	}
+
+	let parent = getComposedParent(element);
+	return (
+		element.nodeName !== '#comment' &&
+		isStyleVisible(element) &&
+		!element.hasAttribute('hidden') &&
+		(!parent ||
+			(isAttributeVisible(parent, element) &&
+				isRenderingChildren(parent, cache)))
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isRenderingChildren tests if `element` renders its children, i.e. neither it
+ * nor any of its ancestors are hidden. Closed `details` elements are checked
+ * per child, because they still render their `summary`.
+ * @param {Element} element
+ * @param {Map<Element, boolean>} cache
+ */
+function isRenderingChildren(element, cache) {
+	if (!cache.has(element)) {
+		let parent = getComposedParent(element);
+		cache.set(
+			element,
+			isStyleVisible(element) &&
+				!element.hasAttribute('hidden') &&
+				isContentVisible(element) &&
+				(!parent ||
+					(isAttributeVisible(parent, element) &&
+						isRenderingChildren(parent, cache))),
+		);
+	}
+	return cache.get(element);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getScopeRoot returns the `parentElement` of the first scope `HTMLElement`.
+ * @param {HTMLElement[]} scope
+ */
+function getScopeRoot(scope) {
+	return scope[0].parentElement;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {'none' | 'nearest' | 'center' | ((element: HTMLElement) => void)} ScrollBehavior
+ */
+
+/**
+ * @typedef {Object} ScrollBehaviorOptions
+ * @prop {ScrollBehavior} [autoFocus]
+ * @prop {ScrollBehavior} [tab]
+ * @prop {ScrollBehavior} [restore]
+ */
+
+/**
+ * focusElement focuses `element`. `true` lets the browser scroll it into view,
+ * any other `scroll` value focuses it without scrolling and then applies the
+ * given scroll behavior.
+ * @param {HTMLElement | null} element
+ * @param {boolean | ScrollBehavior} [scroll=false]
+ */
+function focusElement(element, scroll = false) {
+	if (element == null) return;
+
+	try {
+		if (scroll === true) {
+			element.focus();
+		} else {
+			focusWithoutScrolling(element);
+		}
+	} catch (err) {
+		// silence is golden
+		return;
+	}
+
+	markFocusVisible(element);
+	if (isFunction(scroll)) {
+		scroll(element);
+	} else if (scroll === 'nearest' || scroll === 'center') {
+		scrollIntoScrollParent(element, scroll);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getScrollBehavior returns the scroll behavior configured for `action`, or
+ * `fallback` if there is none.
+ * @param {ScrollBehavior | ScrollBehaviorOptions | undefined} scrollBehavior
+ * @param {'autoFocus' | 'tab' | 'restore'} action
+ * @param {boolean} fallback
+ * @returns {boolean | ScrollBehavior}
+ */
+function getScrollBehavior(scrollBehavior, action, fallback) {
+	if (isString(scrollBehavior) || isFunction(scrollBehavior)) {
+		return scrollBehavior;
+	}
+	return scrollBehavior?.[action] ?? fallback;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * scrollIntoScrollParent scrolls the closest scrollable ancestor of `element`
+ * so that `element` is visible, either with as little scrolling as possible
+ * (`nearest`) or centered. Sticky and fixed headers and footers inside of the
+ * scrollable ancestor are taken into account.
+ * @param {HTMLElement} element
+ * @param {'nearest' | 'center'} block
+ */
+function scrollIntoScrollParent(element, block) {
+	let ownerDocument = getOwnerDocument(element);
+	let scrollingElement =
+		ownerDocument.scrollingElement ?? ownerDocument.documentElement;
+	let container = getScrollParent(element) ?? scrollingElement;
+
+	let view =
+		container === scrollingElement
+			? { top: 0, bottom: getOwnerWindow(element).innerHeight }
+			: container.getBoundingClientRect();
+	let { top: stickyTop, bottom: stickyBottom } = getStickyInsets(
+		container === scrollingElement ? ownerDocument.body : container,
+		element,
+		view,
+	);
+	let top = view.top + stickyTop;
+	let bottom = view.bottom - stickyBottom;
+
+	let rect = element.getBoundingClientRect();
+	let delta = 0;
+	if (block === 'center') {
+		delta = (rect.top + rect.bottom) / 2 - (top + bottom) / 2;
+	} else if (rect.top < top) {
+		delta = rect.top - top;
+	} else if (rect.bottom > bottom) {
+		delta = Math.min(rect.bottom - bottom, rect.top - top);
+	}
+
+	if (delta !== 0) {
+		container.scrollTop += delta;
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getScrollParent returns the closest ancestor of `element` that scrolls
+ * vertically, or `null` if there is none.
+ * @param {Element} element
+ * @returns {Element | null}
+ */
+function getScrollParent(element) {
+	const { getComputedStyle } = getOwnerWindow(element);
+	let parent = getComposedParent(element);
+	while (parent && parent !== getOwnerDocument(element).body) {
+		let { overflowY } = getComputedStyle(parent);
+		if (
+			/^(auto|scroll|overlay)$/.test(overflowY) &&
+			parent.scrollHeight > parent.clientHeight
+		) {
+			return parent;
+		}
+		parent = getComposedParent(parent);
+	}
+	return null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getStickyInsets returns how much of the top and bottom of `view` is covered
+ * by sticky or fixed children of `container`, ignoring the one that contains
+ * `element`.
+ * @param {Element} container
+ * @param {Element} element
+ * @param {{ top: number, bottom: number }} view
+ * @returns {{ top: number, bottom: number }}
+ */
+function getStickyInsets(container, element, view) {
+	const { getComputedStyle } = getOwnerWindow(element);
+	let insets = { top: 0, bottom: 0 };
+	for (let child of container.children) {
+		if (nodeContains(child, element)) continue;
+
+		let style = getComputedStyle(child);
+		if (style.position !== 'sticky' && style.position !== 'fixed') continue;
+
+		let rect = child.getBoundingClientRect();
+		if (style.top !== 'auto' && style.top !== '') {
+			insets.top = Math.max(insets.top, rect.bottom - view.top);
+		} else if (style.bottom !== 'auto' && style.bottom !== '') {
+			insets.bottom = Math.max(insets.bottom, view.bottom - rect.top);
+		}
+	}
+	return insets;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * focusFirstInScope
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {boolean | ScrollBehavior} [scroll=false]
+ * @returns {HTMLElement | null}
+ */
+function focusFirstInScope(scopeRef, scroll = false) {
+	const scope = scopeRef.current;
+	const sentinel = scope[0].previousElementSibling;
+	const walker = createFocusableWalker(
+		getScopeRoot(scope),
+		{ ...getScopeFocusOptions(scopeRef), tabbable: true },
+		scope,
+	);
+	walker.currentNode = sentinel;
+	let node = walker.nextNode();
+	focusElement(node, scroll);
+	return node;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * focusLastInScope
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @returns {HTMLElement | null}
+ */
+function focusLastInScope(scopeRef) {
+	const scope = scopeRef.current;
+	const sentinel = scope[scope.length - 1].nextElementSibling;
+	const walker = createFocusableWalker(
+		getScopeRoot(scope),
+		{ ...getScopeFocusOptions(scopeRef), tabbable: true },
+		scope,
+	);
+	walker.currentNode = sentinel;
+	let node = walker.previousNode();
+	focusElement(node);
+	return node;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * isStyleVisible tests if a given `element`s style indicates a "visible" state.
- * @param {Element} element
+ * getScopeFocusOptions returns the `accept` and `selectors` options of the
+ * scope referenced by `scopeRef`, combined with `opts`.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {FocusableOptions} [opts]
+ * @returns {FocusableOptions}
  */
-function isStyleVisible(element) {
-	if (!(element instanceof HTMLElement) && !(element instanceof SVGElement)) {
-		return false;
+function getScopeFocusOptions(scopeRef, opts = {}) {
+	let scopeOpts = scopeFocusOptions.get(scopeRef) ?? {};
+	let accept = scopeOpts.accept;
+	if (accept && opts.accept) {
+		accept = node => scopeOpts.accept(node) && opts.accept(node);
+	} else {
+		accept = accept ?? opts.accept;
 	}
 
-	let { display, visibility } = element.style;
+	let selectors = [].concat(scopeOpts.selectors ?? [], opts.selectors ?? []);
+	return { accept, selectors: selectors.length > 0 ? selectors : undefined };
+}
 
-	let isVisible =
-		display !== 'none' && visibility !== 'hidden' && visibility !== 'collapse';
+////////////////////////////////////////////////////////////////////////////////
 
-	if (isVisible) {
-		const { getComputedStyle } = element.ownerDocument.defaultView;
-		let { display: computedDisplay, visibility: computedVisibility } =
-			getComputedStyle(element);
+/**
+ * getFocusableElementsInScope returns all focusable (or tabbable) elements of
+ * the scope referenced by `scopeRef` in DOM order.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {{ tabbable?: boolean }} [opts]
+ * @returns {HTMLElement[]}
+ */
+function getFocusableElementsInScope(scopeRef, opts = {}) {
+	const scope = scopeRef.current;
+	const walker = createFocusableWalker(
+		getScopeRoot(scope),
+		{ ...getScopeFocusOptions(scopeRef), tabbable: opts.tabbable },
+		scope,
+	);
+	walker.currentNode = scope[0].previousElementSibling;
+	return getWalkerNodes(walker);
+}
 
-		isVisible =
-			computedDisplay !== 'none' &&
-			computedVisibility !== 'hidden' &&
-			computedVisibility !== 'collapse';
-	}
+////////////////////////////////////////////////////////////////////////////////
 
-	return isVisible;
+/**
+ * getWalkerNodes returns all nodes that `walker` visits after its current
+ * node.
+ * @param {TreeWalker} walker
+ * @returns {HTMLElement[]}
+ */
+function getWalkerNodes(walker) {
+	let nodes = [];
+	let node = walker.nextNode();
+	while (node) {
+		nodes.push(node);
+		node = walker.nextNode();
+	}
+	return nodes;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * isAttributeVisible tests if a given `element`s attributes indicate a
- * "visible" state.
- * @param {Element} element
- * @param {Element} [childElement]
+ * getTabOrder sorts tabbable `elements` (given in DOM order) into sequential
+ * navigation order: Elements with a positive tabindex come first, ordered by
+ * their tabindex, followed by all other elements in DOM order.
+ * @param {HTMLElement[]} elements
+ * @returns {HTMLElement[]}
  */
-function isAttributeVisible(element, childElement) {
-	return (
-		!element.hasAttribute('hidden') &&
-		(element.nodeName === 'DETAILS' &&
-		childElement &&
-		childElement.nodeName !== 'SUMMARY'
-			? element.hasAttribute('open')
-			: true)
-	);
+function getTabOrder(elements) {
+	let positive = elements
+		.filter(element => element.tabIndex > 0)
+		.sort((a, b) => a.tabIndex - b.tabIndex);
+	return positive.concat(elements.filter(element => element.tabIndex <= 0));
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * isElementVisible tests if a given `element` indicates a "visible" state.
- * @param {Element} element
- * @param {Element} [childElement]
+ * @typedef {Object} TabNavigator
+ * @prop {(element: Element, backwards: boolean) => HTMLElement | null} next
+ * @prop {(backwards: boolean) => HTMLElement | null} first
  */
-export function isElementVisible(element, childElement) {
-	return (
-		element.nodeName !== '#comment' &&
-		isStyleVisible(element) &&
-		isAttributeVisible(element, childElement) &&
-		(!element.parentElement || isElementVisible(element.parentElement, element))
-	);
+
+/**
+ * createTabNavigator creates a TabNavigator that moves through the tabbable
+ * elements below `root` (and inside of `scope`) in sequential navigation
+ * order. Collecting that order means visiting every tabbable element, so it is
+ * only done if there are positive tabindex values at all. Otherwise it equals
+ * DOM order, and the walker only visits the elements up to the next one.
+ * @param {Element} root
+ * @param {FocusableOptions} opts
+ * @param {HTMLElement[]} [scope]
+ * @returns {TabNavigator}
+ */
+function createTabNavigator(root, opts, scope) {
+	let walker = createFocusableWalker(root, { ...opts, tabbable: true }, scope);
+	let order = hasPositiveTabIndex(scope ?? [root])
+		? getTabOrder(getWalkerNodes(walker))
+		: null;
+
+	return {
+		next(element, backwards) {
+			if (order) return getNextInTabOrder(order, element, backwards);
+
+			walker.currentNode = element;
+			return backwards ? walker.previousNode() : walker.nextNode();
+		},
+		first(backwards) {
+			if (!order && scope) {
+				walker.currentNode = backwards
+					? scope[scope.length - 1].nextElementSibling
+					: scope[0].previousElementSibling;
+				return backwards ? walker.previousNode() : walker.nextNode();
+			}
+
+			if (!order) {
+				walker.currentNode = root;
+				order = getTabOrder(getWalkerNodes(walker));
+			}
+			return (backwards ? order[order.length - 1] : order[0]) ?? null;
+		},
+	};
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * getScopeRoot returns the `parentElement` of the first scope `HTMLElement`.
- * @param {HTMLElement[]} scope
+ * hasPositiveTabIndex tests if any of `nodes` or their descendants has a
+ * positive tabindex.
+ * @param {Node[]} nodes
  */
-function getScopeRoot(scope) {
-	return scope[0].parentElement;
+function hasPositiveTabIndex(nodes) {
+	return nodes.some(
+		node =>
+			node.nodeType === 1 &&
+			(node.tabIndex > 0 ||
+				Array.from(node.querySelectorAll('[tabindex]')).some(
+					element => element.tabIndex > 0,
+				)),
+	);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * focusElement
- * @param {HTMLElement | null} element
- * @param {boolean} [scroll=false]
+ * getNextInTabOrder returns the element after (or before) `element` in the
+ * sequential navigation `order`, or `null` if there is none. Elements that
+ * are not part of `order` themselves (e.g. with `tabindex="-1"`) continue from
+ * their position in DOM order, like they do in browsers.
+ * @param {HTMLElement[]} order
+ * @param {Element} element
+ * @param {boolean} backwards
+ * @returns {HTMLElement | null}
  */
-function focusElement(element, scroll = false) {
-	if (element != null && !scroll) {
-		try {
-			focusWithoutScrolling(element);
-		} catch (err) {
-			// silence is golden
-		}
-	} else if (element != null) {
-		try {
-			element.focus();
-		} catch (err) {
-			// silence is golden
-		}
+function getNextInTabOrder(order, element, backwards) {
+	let index = order.indexOf(element);
+	if (index !== -1) {
+		return order[backwards ? index - 1 : index + 1] ?? null;
 	}
+
+	let following = order.findIndex(
+		other =>
+			other.tabIndex <= 0 &&
+			element.compareDocumentPosition(other) & Node.DOCUMENT_POSITION_FOLLOWING,
+	);
+	if (following === -1) following = order.length;
+	return order[backwards ? following - 1 : following] ?? null;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * focusFirstInScope
- * @param {HTMLElement[]} scope
+ * focusParentScope moves focus to the first tabbable element of `parentScope`,
+ * unless focus already is inside of it or the scope is no longer mounted.
+ * @param {RefObject<HTMLElement[]> | null} parentScope
+ * @param {boolean | ScrollBehavior} [scroll=false]
  */
-function focusFirstInScope(scope) {
-	const sentinel = scope[0].previousElementSibling;
-	const walker = getFocusableTreeWalker(
-		getScopeRoot(scope),
-		{ tabbable: true },
-		scope,
-	);
-	walker.currentNode = sentinel;
-	focusElement(walker.nextNode());
+function focusParentScope(parentScope, scroll = false) {
+	if (!parentScope) return;
+
+	let scope = parentScope.current;
+	if (scope.length === 0) return;
+
+	let ownerDocument = getOwnerDocument(scope[0]);
+	if (!nodeContains(ownerDocument.body, scope[0])) return;
+
+	if (!isElementInChildScope(getActiveElement(ownerDocument), parentScope)) {
+		focusFirstInScope(parentScope, scroll);
+	}
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * @typedef {HTMLElement | RefObject<HTMLElement> | ((nodeToRestore: HTMLElement | null) => HTMLElement | null)} RestoreFocusTarget
+ */
+
+/**
+ * @typedef {Object} RestoreFocusOptions
+ * @prop {RestoreFocusTarget | RestoreFocusTarget[]} [to]
+ * @prop {boolean} [always]
+ */
+
 /**
  * useRestoreFocus
  * @param {RefObject<HTMLElement[]>} scopeRef
- * @param {boolean} restoreFocus
+ * @param {boolean | 'always' | RestoreFocusTarget | RestoreFocusTarget[] | RestoreFocusOptions} restoreFocus
  * @param {boolean} contain
+ * @param {FocusScopeCallbacks & { scrollBehavior?: ScrollBehavior | ScrollBehaviorOptions }} options
+ * @returns {() => boolean} Restores focus immediately.
  */
-function useRestoreFocus(scopeRef, restoreFocus, contain) {
+function useRestoreFocus(scopeRef, restoreFocus, contain, options) {
+	// NOTE(joel): Targets and options are usually passed inline, so we read the
+	// latest values on unmount instead of re-running the effect below on every
+	// render.
+	let latestRef = React.useRef({ restoreFocus, options });
+	useLayoutEffect(() => {
+		latestRef.current = { restoreFocus, options };
+	});
+	let nodeToRestoreRef = React.useRef(null);
+
 	// NOTE(joel): We use `useLayoutEffect` instead of `React.useEffect` so the active
 	// element is saved synchronously instead of asynchronously.
 	useLayoutEffect(() => {
-		const scope = scopeRef.current;
-		let nodeToRestore = document.activeElement;
+		const ownerDocument = getOwnerDocument(scopeRef.current[0]);
+		const ownerWindow = getOwnerWindow(scopeRef.current[0]);
+		let nodeToRestore = getActiveElement(ownerDocument);
+		nodeToRestoreRef.current = nodeToRestore;
+		if (process.env.NODE_ENV !== 'production') {
+			getScopeDebug(scopeRef).restoreTarget = nodeToRestore;
+		}
 
 		/**
 		 * Handle the Tab key so that tabbing out of the scope goes to the next
@@ -424,23 +3748,24 @@ function useRestoreFocus(scopeRef, restoreFocus, contain) {
 				return;
 			}
 
-			const focusedElement = document.activeElement;
+			// NOTE(joel): Read the scope nodes on every key press, as they can change
+			// while the scope is mounted.
+			const scope = scopeRef.current;
+			const focusedElement = getActiveElement(ownerDocument);
 			if (!isElementInScope(focusedElement, scope)) return;
 
-			// NOTE(joel): Create a DOM tree walker that matches all tabbable
-			// elements.
-			const walker = getFocusableTreeWalker(document.body, { tabbable: true });
+			const navigator = createTabNavigator(
+				ownerDocument.body,
+				getScopeFocusOptions(scopeRef),
+			);
 
 			// NOTE(joel): Find the next tabbable element after the currently focused
 			// element
-			walker.currentNode = focusedElement;
-			let nextElement = evt.shiftKey
-				? walker.previousNode()
-				: walker.nextNode();
+			let nextElement = navigator.next(focusedElement, evt.shiftKey);
 
 			if (
-				!document.body.contains(nodeToRestore) ||
-				nodeToRestore === document.body
+				!nodeContains(ownerDocument.body, nodeToRestore) ||
+				nodeToRestore === ownerDocument.body
 			) {
 				nodeToRestore = null;
 			}
@@ -452,20 +3777,24 @@ function useRestoreFocus(scopeRef, restoreFocus, contain) {
 				(!nextElement || !isElementInScope(nextElement, scope)) &&
 				nodeToRestore
 			) {
-				walker.currentNode = nodeToRestore;
-
 				// NOTE(joel): Skip over elements within the scope, in case the scope
 				// immediately follows the node to restore.
+				nextElement = nodeToRestore;
 				do {
-					nextElement = evt.shiftKey
-						? walker.previousNode()
-						: walker.nextNode();
-				} while (isElementInScope(nextElement, scope));
+					nextElement = navigator.next(nextElement, evt.shiftKey);
+				} while (nextElement && isElementInScope(nextElement, scope));
 
 				evt.preventDefault();
 				evt.stopPropagation();
 				if (nextElement) {
-					focusElement(nextElement, true);
+					focusElement(
+						nextElement,
+						getScrollBehavior(
+							latestRef.current.options.scrollBehavior,
+							'tab',
+							true,
+						),
+					);
 				} else {
 					// NOTE(joel): If there is no next element, blur the focused element
 					// to move focus to the body.
@@ -475,27 +3804,217 @@ function useRestoreFocus(scopeRef, restoreFocus, contain) {
 		}
 
 		if (!contain) {
-			document.addEventListener('keydown', onKeyDown, true);
+			ownerDocument.addEventListener('keydown', onKeyDown, true);
 		}
 
 		return () => {
 			if (!contain) {
-				document.removeEventListener('keydown', onKeyDown, true);
+				ownerDocument.removeEventListener('keydown', onKeyDown, true);
 			}
 
+			let { targets, always } = getRestoreFocusOptions(
+				latestRef.current.restoreFocus,
+			);
 			if (
-				restoreFocus &&
-				nodeToRestore &&
-				isElementInScope(document.activeElement, scope)
+				!always &&
+				!isElementInChildScope(getActiveElement(ownerDocument), scopeRef)
 			) {
-				window.requestAnimationFrame(() => {
-					if (document.body.contains(nodeToRestore)) {
-						focusElement(nodeToRestore);
-					}
-				});
+				return;
 			}
+
+			// NOTE(joel): `restoreFocus={false}` leaves focus alone. Otherwise, if
+			// none of the targets can be focused, we fall back to the focus history
+			// and then to the closest parent scope instead of dropping focus on the
+			// body.
+			if (targets.length === 0) return;
+			let parentScope = getParentScope(scopeRef);
+
+			ownerWindow.requestAnimationFrame(() => {
+				let { scrollBehavior, onBeforeRestoreFocus, onAfterRestoreFocus } =
+					latestRef.current.options;
+				let scroll = getScrollBehavior(scrollBehavior, 'restore', false);
+				onBeforeRestoreFocus?.();
+				let source = getActiveElement(ownerDocument);
+				let reason = 'the scope unmounted';
+				if (
+					!focusRestoreTargets(targets, nodeToRestore, ownerDocument, scroll)
+				) {
+					if (focusFromHistory(scopeRef, parentScope, ownerDocument, scroll)) {
+						reason = 'no target could be focused, used the focus history';
+					} else {
+						focusParentScope(parentScope, scroll);
+						reason = 'no target could be focused, moved into the parent scope';
+					}
+				}
+				if (process.env.NODE_ENV !== 'production') {
+					logDebug(
+						scopeRef,
+						'restore',
+						reason,
+						source,
+						getActiveElement(ownerDocument),
+					);
+				}
+				onAfterRestoreFocus?.(getActiveElement(ownerDocument));
+			});
 		};
-	}, [scopeRef, restoreFocus, contain]);
+	}, [scopeRef, contain]);
+
+	return React.useCallback(() => {
+		let scope = scopeRef.current;
+		if (scope.length === 0) return false;
+
+		let { restoreFocus, options } = latestRef.current;
+		let { targets } = getRestoreFocusOptions(restoreFocus);
+		let ownerDocument = getOwnerDocument(scope[0]);
+		let scroll = getScrollBehavior(options.scrollBehavior, 'restore', false);
+		return (
+			focusRestoreTargets(
+				targets,
+				nodeToRestoreRef.current,
+				ownerDocument,
+				scroll,
+			) ||
+			(targets.length > 0 &&
+				focusFromHistory(
+					scopeRef,
+					getParentScope(scopeRef),
+					ownerDocument,
+					scroll,
+				))
+		);
+	}, [scopeRef]);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getRestoreFocusOptions normalizes the `restoreFocus` prop into a list of
+ * targets to try in order, and whether to restore even if focus already left
+ * the scope. `true` and `'always'` restore to the node that was focused when
+ * the scope mounted.
+ * @param {boolean | 'always' | RestoreFocusTarget | RestoreFocusTarget[] | RestoreFocusOptions} restoreFocus
+ * @returns {{ targets: RestoreFocusTarget[], always: boolean }}
+ */
+function getRestoreFocusOptions(restoreFocus) {
+	let defaultTarget = nodeToRestore => nodeToRestore;
+
+	if (!restoreFocus) {
+		return { targets: [], always: false };
+	}
+	if (restoreFocus === true || restoreFocus === 'always') {
+		return { targets: [defaultTarget], always: restoreFocus === 'always' };
+	}
+	if (Array.isArray(restoreFocus)) {
+		return { targets: restoreFocus, always: false };
+	}
+	if (
+		isFunction(restoreFocus) ||
+		'current' in restoreFocus ||
+		restoreFocus.nodeType === 1
+	) {
+		return { targets: [restoreFocus], always: false };
+	}
+
+	let { to = defaultTarget, always = false } = restoreFocus;
+	return { targets: Array.isArray(to) ? to : [to], always };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * focusRestoreTargets focuses the first of `targets` that can be focused.
+ * @param {RestoreFocusTarget[]} targets
+ * @param {HTMLElement | null} nodeToRestore
+ * @param {Document} ownerDocument
+ * @param {boolean | ScrollBehavior} [scroll=false]
+ * @returns {boolean}
+ */
+function focusRestoreTargets(
+	targets,
+	nodeToRestore,
+	ownerDocument,
+	scroll = false,
+) {
+	return targets.some(target =>
+		tryFocusElement(
+			resolveRestoreFocusTarget(target, nodeToRestore),
+			ownerDocument,
+			scroll,
+		),
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * focusFromHistory focuses the most recently focused element that can still
+ * be focused, skipping elements of the scope that is restoring focus. If the
+ * scope has a parent scope, only elements inside of it are considered.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {RefObject<HTMLElement[]> | null} parentScope
+ * @param {Document} ownerDocument
+ * @param {boolean | ScrollBehavior} [scroll=false]
+ * @returns {boolean}
+ */
+function focusFromHistory(
+	scopeRef,
+	parentScope,
+	ownerDocument,
+	scroll = false,
+) {
+	let history = getFocusHistory();
+	for (let i = history.length - 1; i >= 0; i--) {
+		let element = history[i];
+		if (
+			isElementInChildScope(element, scopeRef) ||
+			(parentScope && !isElementInChildScope(element, parentScope))
+		) {
+			continue;
+		}
+		if (tryFocusElement(element, ownerDocument, scroll)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * resolveRestoreFocusTarget resolves `target` to an element.
+ * @param {RestoreFocusTarget} target
+ * @param {HTMLElement | null} nodeToRestore
+ * @returns {HTMLElement | null}
+ */
+function resolveRestoreFocusTarget(target, nodeToRestore) {
+	if (isFunction(target)) return target(nodeToRestore);
+	if (target && 'current' in target) return target.current;
+	return target ?? null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * tryFocusElement focuses `element` if it is still connected and visible, and
+ * reports whether it actually received focus.
+ * @param {HTMLElement | null} element
+ * @param {Document} ownerDocument
+ * @param {boolean | ScrollBehavior} [scroll=false]
+ * @returns {boolean}
+ */
+function tryFocusElement(element, ownerDocument, scroll = false) {
+	if (
+		!element ||
+		element === ownerDocument.body ||
+		!nodeContains(ownerDocument.body, element) ||
+		!isElementVisible(element)
+	) {
+		return false;
+	}
+
+	focusElement(element, scroll);
+	return getActiveElement(ownerDocument) === element;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -506,21 +4025,270 @@ function useRestoreFocus(scopeRef, restoreFocus, contain) {
  * @param {RefObject<HTMLElement[]>} scopeRef
  * @param {boolean} autoFocus
  * @param {RefObject<any>} initialFocusRef
+ * @param {ScrollBehavior | ScrollBehaviorOptions} [scrollBehavior]
  */
-function useAutoFocus(scopeRef, autoFocus, initialFocusRef) {
+function useAutoFocus(scopeRef, autoFocus, initialFocusRef, scrollBehavior) {
+	let scrollBehaviorRef = React.useRef(scrollBehavior);
+	useLayoutEffect(() => {
+		scrollBehaviorRef.current = scrollBehavior;
+	});
+
 	React.useEffect(() => {
+		// NOTE(joel): Paused traps must not steal focus from the active one.
+		if (isScopeSuspended(scopeRef)) return;
+
+		let ownerDocument = getOwnerDocument(scopeRef.current[0]);
+		let scroll = getScrollBehavior(
+			scrollBehaviorRef.current,
+			'autoFocus',
+			false,
+		);
+
+		let activeElement = getActiveElement(ownerDocument);
 		if (autoFocus && initialFocusRef == null) {
 			activeScope = scopeRef;
-			if (!isElementInScope(document.activeElement, activeScope.current)) {
-				focusFirstInScope(scopeRef.current);
+			if (!isElementInChildScope(activeElement, scopeRef)) {
+				focusFirstInScope(scopeRef, scroll);
+				if (process.env.NODE_ENV !== 'production') {
+					logDebug(
+						scopeRef,
+						'autoFocus',
+						'the scope mounted',
+						activeElement,
+						getActiveElement(ownerDocument),
+					);
+				}
 			}
 		}
 
 		if (initialFocusRef != null && initialFocusRef.current != null) {
 			activeScope = scopeRef;
-			if (!isElementInScope(document.activeElement, activeScope.current)) {
-				focusElement(initialFocusRef.current);
+			if (!isElementInChildScope(activeElement, scopeRef)) {
+				focusElement(initialFocusRef.current, scroll);
+				if (process.env.NODE_ENV !== 'production') {
+					logDebug(
+						scopeRef,
+						'autoFocus',
+						'the scope mounted with an initialFocusRef',
+						activeElement,
+						getActiveElement(ownerDocument),
+					);
+				}
 			}
 		}
 	}, [scopeRef, autoFocus, initialFocusRef]);
 }
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} TypeaheadOptions
+ * @prop {number} [timeout=500]
+ */
+
+/**
+ * useTypeahead moves focus to the focusable element in the scope whose text
+ * starts with the typed characters. Keystrokes are buffered until no key was
+ * pressed for `timeout` milliseconds. Typing the same character repeatedly
+ * cycles through all elements starting with it.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {boolean | TypeaheadOptions} typeahead
+ */
+function useTypeahead(scopeRef, typeahead) {
+	let enabled = Boolean(typeahead);
+	let timeout = typeahead?.timeout ?? 500;
+
+	React.useEffect(() => {
+		if (!enabled) return;
+
+		let scope = scopeRef.current;
+		let ownerDocument = getOwnerDocument(scope[0]);
+		let ownerWindow = getOwnerWindow(scope[0]);
+		let search = '';
+		let timer = null;
+
+		/**
+		 * onKeyDown
+		 * @param {KeyboardEvent} e
+		 */
+		function onKeyDown(e) {
+			if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
+
+			let target = getEventTarget(e);
+			if (!isElementInScope(target, scopeRef.current)) return;
+
+			// NOTE(joel): Nested scopes with typeahead all listen on the document, in
+			// the order they mounted. Only the innermost one handles the key.
+			if (getTypeaheadScope(target) !== scopeRef) return;
+
+			// NOTE(joel): Leave printable keys to text fields, and Space to the
+			// focused element unless a search is in progress.
+			if (isTextField(target)) return;
+			if (e.key === ' ' && search === '') return;
+
+			search += e.key.toLowerCase();
+			ownerWindow.clearTimeout(timer);
+			timer = ownerWindow.setTimeout(() => {
+				search = '';
+			}, timeout);
+
+			let match = findTypeaheadMatch(scopeRef, target, search);
+			if (match) {
+				e.preventDefault();
+				focusElement(match, true);
+			}
+		}
+
+		typeaheadScopes.add(scopeRef);
+		ownerDocument.addEventListener('keydown', onKeyDown, false);
+		return () => {
+			typeaheadScopes.delete(scopeRef);
+			ownerDocument.removeEventListener('keydown', onKeyDown, false);
+			ownerWindow.clearTimeout(timer);
+		};
+	}, [scopeRef, enabled, timeout]);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getTypeaheadScope returns the `scopeRef` of the innermost scope with
+ * typeahead that contains `element`, or `null` if there is none.
+ * @param {Element} element
+ * @returns {RefObject<HTMLElement[]> | null}
+ */
+function getTypeaheadScope(element) {
+	let scopeRef = getScopeForElement(element);
+	while (scopeRef && !typeaheadScopes.has(scopeRef)) {
+		scopeRef = getParentScope(scopeRef);
+	}
+	return scopeRef;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * findTypeaheadMatch returns the first focusable element in the scope
+ * referenced by `scopeRef` after `from` whose text starts with `search`.
+ * @param {RefObject<HTMLElement[]>} scopeRef
+ * @param {Element} from
+ * @param {string} search
+ * @returns {HTMLElement | null}
+ */
+function findTypeaheadMatch(scopeRef, from, search) {
+	let elements = getFocusableElementsInScope(scopeRef);
+
+	// NOTE(joel): If the same character is typed repeatedly (e.g. "aaa"), cycle
+	// through all elements starting with it instead.
+	let isRepeated = search.split('').every(char => char === search[0]);
+	let query = isRepeated ? search[0] : search;
+
+	// NOTE(joel): A new character starts searching after the focused element,
+	// while a longer search keeps the focused element if it still matches.
+	let index = elements.indexOf(from);
+	let start = Math.max(isRepeated ? index + 1 : index, 0);
+
+	for (let i = 0; i < elements.length; i++) {
+		let element = elements[(start + i) % elements.length];
+		if (getTypeaheadText(element).startsWith(query)) {
+			return element;
+		}
+	}
+	return null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getTypeaheadText returns the lowercased text used to match `element`: Its
+ * `data-typeahead` attribute, or else its accessible name.
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function getTypeaheadText(element) {
+	let text = element.getAttribute('data-typeahead');
+	if (text == null) text = element.getAttribute('aria-label');
+	if (text == null && element.hasAttribute('aria-labelledby')) {
+		let ownerDocument = getOwnerDocument(element);
+		text = element
+			.getAttribute('aria-labelledby')
+			.split(/\s+/)
+			.map(id => ownerDocument.getElementById(id)?.textContent ?? '')
+			.join(' ');
+	}
+	if (text == null) text = element.textContent ?? '';
+	return text.trim().toLowerCase();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isTextField tests if `element` accepts text input.
+ * @param {Element} element
+ */
+function isTextField(element) {
+	if (element.isContentEditable) return true;
+	if (element.localName === 'textarea' || element.localName === 'select') {
+		return true;
+	}
+	if (element.localName !== 'input') return false;
+
+	return ![
+		'button',
+		'checkbox',
+		'color',
+		'file',
+		'image',
+		'radio',
+		'range',
+		'reset',
+		'submit',
+	].includes(element.type);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * __getTabOrder returns the tabbable elements below `root` in sequential
+ * navigation order, as seen by the Tab key handling of contained scopes.
+ * Only exported for `@react-lit/focus-scope/test-utils`.
+ * @private
+ * @param {Element} root
+ * @returns {HTMLElement[]}
+ */
+export function __getTabOrder(root) {
+	let walker = createFocusableWalker(root, { tabbable: true });
+	return getTabOrder(getWalkerNodes(walker));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * __resetFocusScopeState resets all module-level state, e.g. between tests.
+ * Elements hidden by `hideOutside` get their previous attribute values back.
+ * Only exported for `@react-lit/focus-scope/test-utils`.
+ * @private
+ */
+export function __resetFocusScopeState() {
+	activeScope = null;
+	trapStack = [];
+	currentActiveTrap = null;
+	for (let [attribute, elements] of hiddenElements) {
+		for (let [element, { value }] of elements) {
+			if (value == null) {
+				element.removeAttribute(attribute);
+			} else {
+				element.setAttribute(attribute, value);
+			}
+		}
+	}
+	hiddenElements = new Map();
+	scopeTree = new Map([
+		[null, { scopeRef: null, parent: null, children: new Set() }],
+	]);
+	currentModality = null;
+	focusHistory = [];
+	setFocusScopeDebug(false);
+	debugOverlay?.remove();
+	debugOverlay = null;
+}
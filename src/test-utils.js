@@ -0,0 +1,214 @@
+import * as React from 'react';
+import { __getTabOrder, __resetFocusScopeState } from '@react-lit/focus-scope';
+
+/**
+ * act wraps `callback` in React's `act`, which is `React.act` since React 18.3
+ * (`react-dom/test-utils` is gone in React 19) and `React.unstable_act` before.
+ * React 17 has neither, so `callback` runs as is.
+ * @template T
+ * @param {() => T} callback
+ * @returns {T}
+ */
+function act(callback) {
+	let reactAct = React.act ?? React.unstable_act;
+	return reactAct ? reactAct(callback) : callback();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getTabOrder returns the tabbable elements inside of `container` in the order
+ * the Tab key moves through them. It uses the same tree walker as contained
+ * scopes do, so the order matches what users of a focus trap get.
+ * @param {Element} [container=document.body]
+ * @returns {HTMLElement[]}
+ */
+export function getTabOrder(container = document.body) {
+	return __getTabOrder(container);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} TabThroughOptions
+ * @prop {boolean} [shiftKey] Move backwards, as with Shift+Tab.
+ */
+
+/**
+ * tabThrough presses Tab `count` times and returns the element that has focus
+ * after each press. Every press dispatches `keydown` and `keyup` on the
+ * focused element, so contained scopes handle it like a real key press. If no
+ * handler prevents the `keydown`, focus moves to the next element in tab
+ * order, since jsdom doesn't implement sequential focus navigation.
+ * @param {number} [count=1]
+ * @param {TabThroughOptions} [options={}]
+ * @returns {Element[]}
+ */
+export function tabThrough(count = 1, { shiftKey = false } = {}) {
+	let focused = [];
+	for (let i = 0; i < count; i++) {
+		act(() => pressTab(shiftKey));
+		focused.push(document.activeElement);
+	}
+	return focused;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * pressTab dispatches a single Tab key press on the focused element and
+ * performs the default focus move, unless it was prevented.
+ * @param {boolean} shiftKey
+ */
+function pressTab(shiftKey) {
+	let target = document.activeElement ?? document.body;
+	let init = { key: 'Tab', code: 'Tab', shiftKey, bubbles: true };
+	let keyDown = new KeyboardEvent('keydown', { ...init, cancelable: true });
+	if (target.dispatchEvent(keyDown)) {
+		getNextInTabOrder(target, shiftKey)?.focus();
+	}
+	target.dispatchEvent(new KeyboardEvent('keyup', init));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getNextInTabOrder returns the element the Tab key moves focus to from
+ * `element`, wrapping around at the start and end of the document.
+ * @param {Element} element
+ * @param {boolean} backwards
+ * @returns {HTMLElement | undefined}
+ */
+function getNextInTabOrder(element, backwards) {
+	let order = getTabOrder(document.body);
+	if (order.length === 0) return undefined;
+
+	let index = order.indexOf(element);
+	if (index === -1) {
+		// NOTE(joel): Focus is on an element outside of the tab order (e.g. the
+		// body or an element with `tabindex="-1"`), so we continue from its
+		// position in the document.
+		let following = order.findIndex(
+			candidate =>
+				element.compareDocumentPosition(candidate) &
+				Node.DOCUMENT_POSITION_FOLLOWING,
+		);
+		if (following === -1) following = order.length;
+		index = backwards ? following : following - 1;
+	}
+
+	let next = backwards ? index - 1 : index + 1;
+	return order[(next + order.length) % order.length];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {import('@react-lit/focus-scope').FocusScopeHandle} FocusScopeHandle
+ */
+
+/**
+ * @typedef {Object} ExpectFocusContainedOptions
+ * @prop {number} [count] How many times to press Tab in each direction.
+ * Defaults to one more than the number of tabbable elements in `scope`.
+ */
+
+/**
+ * expectFocusContained tabs forwards and backwards through `scope` and throws
+ * if focus ever leaves it. `scope` is either an element or a FocusScope handle
+ * (its ref). Focus has to be inside of `scope` already.
+ * @param {Element | FocusScopeHandle} scope
+ * @param {ExpectFocusContainedOptions} [options={}]
+ */
+export function expectFocusContained(scope, { count } = {}) {
+	let contains = element =>
+		element != null && scope != null && scope.contains(element);
+
+	if (!contains(document.activeElement)) {
+		throw new Error(
+			`Expected focus to be inside of the scope, but it is on ${describeElement(
+				document.activeElement,
+			)}.`,
+		);
+	}
+
+	if (count == null) {
+		let elements =
+			typeof scope.getFocusableElements === 'function'
+				? scope.getFocusableElements({ tabbable: true })
+				: getTabOrder(scope);
+		count = elements.length + 1;
+	}
+
+	for (let shiftKey of [false, true]) {
+		for (let i = 0; i < count; i++) {
+			let [element] = tabThrough(1, { shiftKey });
+			if (!contains(element)) {
+				throw new Error(
+					`Expected focus to stay inside of the scope, but ${
+						shiftKey ? 'Shift+Tab' : 'Tab'
+					} moved it to ${describeElement(element)}.`,
+				);
+			}
+		}
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * expectFocusRestoredTo waits for the animation frame in which scopes restore
+ * focus and throws if `element` doesn't have focus afterwards.
+ * @param {Element} element
+ * @returns {Promise<void>}
+ */
+export async function expectFocusRestoredTo(element) {
+	await act(
+		() =>
+			new Promise(resolve => {
+				if (typeof requestAnimationFrame === 'function') {
+					requestAnimationFrame(() => resolve());
+				} else {
+					setTimeout(resolve, 0);
+				}
+			}),
+	);
+
+	if (document.activeElement !== element) {
+		throw new Error(
+			`Expected focus to be restored to ${describeElement(
+				element,
+			)}, but it is on ${describeElement(document.activeElement)}.`,
+		);
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * resetFocusScopes resets the state FocusScope keeps across scopes, like the
+ * active scope, the scope tree, the focus history and the debug mode. Call it
+ * after each test (e.g. in `afterEach`), so that no test depends on what an
+ * earlier one left behind.
+ */
+export function resetFocusScopes() {
+	act(() => __resetFocusScopeState());
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * describeElement returns a short, readable description of `element` for
+ * error messages, e.g. `<button id="close">`.
+ * @param {Element | null} element
+ * @returns {string}
+ */
+function describeElement(element) {
+	if (element == null) return 'nothing';
+	let description = `<${element.localName}`;
+	for (let name of ['id', 'data-testid', 'name']) {
+		let value = element.getAttribute(name);
+		if (value != null) description += ` ${name}="${value}"`;
+	}
+	return `${description}>`;
+}
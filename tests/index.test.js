@@ -1,7 +1,22 @@
 import * as React from 'react';
-import { act, render, fireEvent, userEvent } from './test-utils';
-
-import { FocusScope } from '../src/index';
+import { createPortal, flushSync } from 'react-dom';
+import { act, cleanup, render, fireEvent, userEvent } from './test-utils';
+
+import {
+	FocusScope,
+	FocusScopeDebugProvider,
+	clearFocusHistory,
+	getFocusableTreeWalker,
+	getFocusHistory,
+	isFocusVisible,
+	pushFocusHistory,
+	setFocusScopeDebug,
+	useFocusManager,
+	useFocusVisible,
+	useFocusWithin,
+	useRovingFocus,
+	useGridNavigation,
+} from '../src/index';
 
 describe('<FocusScope />', () => {
 	beforeEach(() => {
@@ -9,6 +24,9 @@ describe('<FocusScope />', () => {
 	});
 
 	afterEach(() => {
+		// NOTE(joel): Unmount while requestAnimationFrame is still mocked, so that
+		// frames requested on unmount can't leak into the next test.
+		cleanup();
 		window.requestAnimationFrame.mockRestore();
 	});
 
@@ -30,7 +48,7 @@ describe('<FocusScope />', () => {
 		);
 
 		expect(container.innerHTML).toBe(
-			'<span hidden=""></span><input data-testid="input1"><span hidden=""></span>',
+			'<span hidden=""></span><input data-testid="input1" data-focus-visible=""><span hidden=""></span>',
 		);
 	});
 
@@ -82,6 +100,78 @@ describe('<FocusScope />', () => {
 		expect(document.activeElement).toBe(input1);
 	});
 
+	it('should contain focus in sequential navigation order', async () => {
+		const { getByTestId } = render(
+			<FocusScope>
+				<input data-testid="input1" />
+				<input data-testid="input2" tabIndex={2} />
+				<input data-testid="input3" tabIndex={1} />
+				<input data-testid="input4" tabIndex={-1} />
+				<input data-testid="input5" />
+			</FocusScope>,
+		);
+
+		const input1 = getByTestId('input1');
+		const input2 = getByTestId('input2');
+		const input3 = getByTestId('input3');
+		const input4 = getByTestId('input4');
+		const input5 = getByTestId('input5');
+
+		act(() => {
+			input3.focus();
+		});
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input2);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input1);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input5);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input3);
+
+		await userEvent.tab({ shift: true });
+		expect(document.activeElement).toBe(input5);
+
+		act(() => {
+			input4.focus();
+		});
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input5);
+	});
+
+	it('should move focus out of the scope in sequential navigation order', async () => {
+		function Comp({ show }) {
+			return (
+				<div>
+					{show && (
+						<FocusScope contain={false}>
+							<input data-testid="input1" />
+						</FocusScope>
+					)}
+					<input data-testid="outside2" tabIndex={2} />
+					<input data-testid="outside1" />
+					<button data-testid="trigger" tabIndex={1} />
+				</div>
+			);
+		}
+
+		const { getByTestId, rerender } = render(<Comp />);
+		act(() => {
+			getByTestId('trigger').focus();
+		});
+
+		rerender(<Comp show />);
+		expect(document.activeElement).toBe(getByTestId('input1'));
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(getByTestId('outside2'));
+	});
+
 	it('should work with nested elements', async () => {
 		const { getByTestId } = render(
 			<FocusScope>
@@ -188,26 +278,32 @@ describe('<FocusScope />', () => {
 	});
 
 	it('should work with multiple focus scopes', async () => {
-		const { getByTestId } = render(
-			<div>
-				<FocusScope>
-					<input data-testid="input1" />
-					<input data-testid="input2" />
-					<input style={{ display: 'none' }} />
-					<input style={{ visibility: 'hidden' }} />
-					<input style={{ visibility: 'collapse' }} />
-					<input data-testid="input3" />
-				</FocusScope>
-				<FocusScope>
-					<input data-testid="input4" />
-					<input data-testid="input5" />
-					<input style={{ display: 'none' }} />
-					<input style={{ visibility: 'hidden' }} />
-					<input style={{ visibility: 'collapse' }} />
-					<input data-testid="input6" />
-				</FocusScope>
-			</div>,
-		);
+		function Comp({ show }) {
+			return (
+				<div>
+					<FocusScope>
+						<input data-testid="input1" />
+						<input data-testid="input2" />
+						<input style={{ display: 'none' }} />
+						<input style={{ visibility: 'hidden' }} />
+						<input style={{ visibility: 'collapse' }} />
+						<input data-testid="input3" />
+					</FocusScope>
+					{show && (
+						<FocusScope>
+							<input data-testid="input4" />
+							<input data-testid="input5" />
+							<input style={{ display: 'none' }} />
+							<input style={{ visibility: 'hidden' }} />
+							<input style={{ visibility: 'collapse' }} />
+							<input data-testid="input6" />
+						</FocusScope>
+					)}
+				</div>
+			);
+		}
+
+		const { getByTestId, rerender } = render(<Comp show />);
 
 		const input1 = getByTestId('input1');
 		const input2 = getByTestId('input2');
@@ -216,9 +312,34 @@ describe('<FocusScope />', () => {
 		const input5 = getByTestId('input5');
 		const input6 = getByTestId('input6');
 
+		// NOTE(joel): Only the topmost scope contains focus.
+		expect(document.activeElement).toBe(input4);
+
 		act(() => {
 			input1.focus();
 		});
+		expect(document.activeElement).toBe(input4);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input5);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input6);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(input4);
+
+		await userEvent.tab({ shift: true });
+		expect(document.activeElement).toBe(input6);
+
+		await userEvent.tab({ shift: true });
+		expect(document.activeElement).toBe(input5);
+
+		await userEvent.tab({ shift: true });
+		expect(document.activeElement).toBe(input4);
+
+		// NOTE(joel): Unmounting the topmost scope resumes the one below it.
+		rerender(<Comp />);
 		expect(document.activeElement).toBe(input1);
 
 		await userEvent.tab();
@@ -232,35 +353,95 @@ describe('<FocusScope />', () => {
 
 		await userEvent.tab({ shift: true });
 		expect(document.activeElement).toBe(input3);
+	});
 
-		await userEvent.tab({ shift: true });
+	it('should restore the last focused node of the scope below when the topmost scope unmounts', async () => {
+		function Comp({ show }) {
+			return (
+				<div>
+					<FocusScope restoreFocus={false}>
+						<input data-testid="input1" />
+						<input data-testid="input2" />
+					</FocusScope>
+					{show && (
+						<FocusScope restoreFocus={false}>
+							<input data-testid="input3" />
+						</FocusScope>
+					)}
+				</div>
+			);
+		}
+
+		const { getByTestId, rerender } = render(<Comp />);
+
+		const input2 = getByTestId('input2');
+		act(() => {
+			input2.focus();
+		});
+
+		rerender(<Comp show />);
+		expect(document.activeElement).toBe(getByTestId('input3'));
+
+		rerender(<Comp />);
 		expect(document.activeElement).toBe(input2);
+	});
 
-		await userEvent.tab({ shift: true });
-		expect(document.activeElement).toBe(input1);
+	it('should not contain focus while paused', async () => {
+		function Comp({ paused }) {
+			return (
+				<div>
+					<input data-testid="outside" />
+					<FocusScope paused={paused}>
+						<input data-testid="input1" />
+						<input data-testid="input2" />
+					</FocusScope>
+				</div>
+			);
+		}
+
+		const { getByTestId, rerender } = render(<Comp />);
+
+		const outside = getByTestId('outside');
+		const input2 = getByTestId('input2');
 
 		act(() => {
-			input4.focus();
+			input2.focus();
 		});
-		expect(document.activeElement).toBe(input4);
 
-		await userEvent.tab();
-		expect(document.activeElement).toBe(input5);
+		rerender(<Comp paused />);
+
+		act(() => {
+			outside.focus();
+		});
+		expect(document.activeElement).toBe(outside);
 
 		await userEvent.tab();
-		expect(document.activeElement).toBe(input6);
+		expect(document.activeElement).toBe(getByTestId('input1'));
 
 		await userEvent.tab();
-		expect(document.activeElement).toBe(input4);
+		await userEvent.tab();
+		expect(document.activeElement).toBe(document.body);
 
-		await userEvent.tab({ shift: true });
-		expect(document.activeElement).toBe(input6);
+		act(() => {
+			outside.focus();
+		});
 
-		await userEvent.tab({ shift: true });
-		expect(document.activeElement).toBe(input5);
+		// NOTE(joel): Resuming restores the last focused node.
+		rerender(<Comp paused={false} />);
+		expect(document.activeElement).toBe(input2);
+	});
 
-		await userEvent.tab({ shift: true });
-		expect(document.activeElement).toBe(input4);
+	it('should not auto focus a paused scope', async () => {
+		const { getByTestId } = render(
+			<div>
+				<input data-testid="outside" autoFocus />
+				<FocusScope paused>
+					<input data-testid="input1" />
+				</FocusScope>
+			</div>,
+		);
+
+		expect(document.activeElement).toBe(getByTestId('outside'));
 	});
 
 	it('should restore focus to the last focused element in the scope when re-entering the browser', async () => {
@@ -554,4 +735,2708 @@ describe('<FocusScope />', () => {
 		let input3 = getByTestId('input3');
 		expect(document.activeElement).toBe(input3);
 	});
+
+	describe('tabbability', () => {
+		function getTabbableTestIds(ui) {
+			let ref = React.createRef();
+			render(
+				<FocusScope ref={ref} contain={false} autoFocus={false}>
+					{ui}
+				</FocusScope>,
+			);
+			return ref.current
+				.getFocusableElements({ tabbable: true })
+				.map(element => element.dataset.testid);
+		}
+
+		it('should only make the checked radio button of a group tabbable', async () => {
+			expect(
+				getTabbableTestIds(
+					<>
+						<input type="radio" name="a" data-testid="a1" />
+						<input type="radio" name="a" data-testid="a2" defaultChecked />
+						<input type="radio" name="b" data-testid="b1" disabled />
+						<input type="radio" name="b" data-testid="b2" />
+						<input type="radio" name="b" data-testid="b3" />
+						<input type="radio" data-testid="unnamed" />
+						<form>
+							<input type="radio" name="a" data-testid="form-a1" />
+						</form>
+					</>,
+				),
+			).toEqual(['a2', 'b2', 'unnamed', 'form-a1']);
+		});
+
+		it('should skip controls inside of disabled fieldsets', async () => {
+			expect(
+				getTabbableTestIds(
+					<>
+						<fieldset disabled>
+							<legend>
+								<input data-testid="legend" />
+							</legend>
+							<input data-testid="disabled" />
+							<a href="#" data-testid="link">
+								Link
+							</a>
+							<fieldset>
+								<legend>
+									<button data-testid="nested-legend" />
+								</legend>
+							</fieldset>
+						</fieldset>
+						<fieldset>
+							<input data-testid="enabled" />
+						</fieldset>
+					</>,
+				),
+			).toEqual(['legend', 'link', 'enabled']);
+		});
+
+		it('should skip inert elements', async () => {
+			expect(
+				getTabbableTestIds(
+					<>
+						<div inert="">
+							<input data-testid="inert" />
+						</div>
+						<input data-testid="input" />
+					</>,
+				),
+			).toEqual(['input']);
+		});
+
+		it('should skip elements that are not editable', async () => {
+			expect(
+				getTabbableTestIds(
+					<>
+						<div contentEditable="false" data-testid="not-editable" />
+						<div contentEditable="true" data-testid="editable" />
+					</>,
+				),
+			).toEqual(['editable']);
+		});
+
+		it('should only make the summary of a details element tabbable', async () => {
+			expect(
+				getTabbableTestIds(
+					<>
+						<details>
+							<summary data-testid="summary">Summary</summary>
+							<summary data-testid="second">Second</summary>
+						</details>
+						<summary data-testid="orphan">Orphan</summary>
+						<summary data-testid="orphan-tabindex" tabIndex={0}>
+							Orphan
+						</summary>
+					</>,
+				),
+			).toEqual(['summary', 'orphan-tabindex']);
+		});
+	});
+
+	describe('focusable filters', () => {
+		it('should skip elements with the data-focus-scope-skip attribute', async () => {
+			const { getByTestId } = render(
+				<FocusScope>
+					<a href="#main" data-testid="skip-link" data-focus-scope-skip>
+						Skip to content
+					</a>
+					<div data-focus-scope-skip>
+						<input data-testid="skipped" />
+					</div>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+				</FocusScope>,
+			);
+
+			let input1 = getByTestId('input1');
+			let input2 = getByTestId('input2');
+			expect(document.activeElement).toBe(input1);
+
+			await userEvent.tab();
+			expect(document.activeElement).toBe(input2);
+
+			await userEvent.tab();
+			expect(document.activeElement).toBe(input1);
+		});
+
+		it('should apply accept and selectors to the scope', async () => {
+			let ref = React.createRef();
+			const { getByTestId } = render(
+				<FocusScope
+					ref={ref}
+					accept={node => node.localName !== 'canvas'}
+					selectors="x-color-picker"
+				>
+					<canvas data-testid="canvas" tabIndex={0} />
+					<input data-testid="input1" />
+					<x-color-picker data-testid="picker" />
+				</FocusScope>,
+			);
+
+			let input1 = getByTestId('input1');
+			expect(document.activeElement).toBe(input1);
+			expect(ref.current.getFocusableElements({ tabbable: true })).toEqual([
+				input1,
+				getByTestId('picker'),
+			]);
+
+			expect(ref.current.focusFirst()).toBe(input1);
+		});
+
+		it('should apply accept and selectors to the focus manager', async () => {
+			let nextNode;
+			function Item(props) {
+				let focusManager = useFocusManager();
+				let onKeyDown = e => {
+					if (e.key === 'ArrowRight') {
+						nextNode = focusManager.focusNext({
+							accept: node => node.dataset.testid !== 'item2',
+						});
+					}
+				};
+				return <div tabIndex={-1} {...props} onKeyDown={onKeyDown} />;
+			}
+
+			const { getByTestId } = render(
+				<FocusScope selectors="[data-item]" autoFocus={false}>
+					<Item data-testid="item1" />
+					<Item data-testid="item2" />
+					<x-item data-testid="item3" data-item />
+				</FocusScope>,
+			);
+
+			let item1 = getByTestId('item1');
+			act(() => {
+				item1.focus();
+			});
+
+			fireEvent.keyDown(item1, { key: 'ArrowRight' });
+			expect(nextNode).toBe(getByTestId('item3'));
+		});
+	});
+
+	describe('visibility', () => {
+		function getFocusableTestIds(ui) {
+			let ref = React.createRef();
+			render(
+				<FocusScope ref={ref} contain={false} autoFocus={false}>
+					{ui}
+				</FocusScope>,
+			);
+			return ref.current
+				.getFocusableElements()
+				.map(element => element.dataset.testid);
+		}
+
+		it('should use the native checkVisibility when available', async () => {
+			let checkVisibility = jest.fn(function () {
+				return !this.closest('[data-invisible]');
+			});
+			HTMLElement.prototype.checkVisibility = checkVisibility;
+			try {
+				expect(
+					getFocusableTestIds(
+						<>
+							<input data-testid="input1" />
+							<div data-invisible>
+								<input data-testid="input2" />
+							</div>
+							<input data-testid="input3" />
+						</>,
+					),
+				).toEqual(['input1', 'input3']);
+				expect(checkVisibility).toHaveBeenCalledWith({
+					visibilityProperty: true,
+					checkVisibilityCSS: true,
+				});
+			} finally {
+				delete HTMLElement.prototype.checkVisibility;
+			}
+		});
+
+		it('should skip content inside content-visibility: hidden', async () => {
+			let getComputedStyle = window.getComputedStyle;
+			let spy = jest
+				.spyOn(window, 'getComputedStyle')
+				.mockImplementation(element => {
+					let style = getComputedStyle(element);
+					return {
+						display: style.display,
+						visibility: style.visibility,
+						contentVisibility:
+							element.dataset.testid === 'hidden-content' ? 'hidden' : '',
+					};
+				});
+			try {
+				expect(
+					getFocusableTestIds(
+						<>
+							<input data-testid="input1" />
+							<div data-testid="hidden-content">
+								<input data-testid="input2" />
+							</div>
+						</>,
+					),
+				).toEqual(['input1']);
+			} finally {
+				spy.mockRestore();
+			}
+		});
+
+		it('should compute the style of shared ancestors only once', async () => {
+			let inputs = [];
+			for (let i = 0; i < 20; i++) {
+				inputs.push(<input key={i} data-testid={`input${i}`} />);
+			}
+			let ref = React.createRef();
+			render(
+				<FocusScope ref={ref} contain={false} autoFocus={false}>
+					<div>
+						<div>
+							<div>{inputs}</div>
+						</div>
+					</div>
+				</FocusScope>,
+			);
+
+			let spy = jest.spyOn(window, 'getComputedStyle');
+			try {
+				expect(ref.current.getFocusableElements()).toHaveLength(20);
+				// NOTE(joel): Without memoization every input would re-check all of its
+				// ancestors, which amounts to well over 200 lookups.
+				expect(spy.mock.calls.length).toBeLessThan(50);
+			} finally {
+				spy.mockRestore();
+			}
+		});
+	});
+
+	describe('focus recovery', () => {
+		function List({ onFocusLoss }) {
+			let [items, setItems] = React.useState([1, 2, 3]);
+			return (
+				<FocusScope onFocusLoss={onFocusLoss}>
+					{items.map(item => (
+						<button
+							key={item}
+							data-testid={`delete${item}`}
+							onClick={() => setItems(items.filter(i => i !== item))}
+						>
+							Delete {item}
+						</button>
+					))}
+				</FocusScope>
+			);
+		}
+
+		it('should move focus to the next element when the focused one is removed', async () => {
+			const { getByTestId } = render(<List />);
+
+			let delete2 = getByTestId('delete2');
+			act(() => {
+				delete2.focus();
+			});
+			await act(async () => {
+				delete2.click();
+			});
+
+			expect(document.activeElement).toBe(getByTestId('delete3'));
+		});
+
+		it('should move focus to the previous element when the last one is removed', async () => {
+			const { getByTestId } = render(<List />);
+
+			let delete3 = getByTestId('delete3');
+			act(() => {
+				delete3.focus();
+			});
+			await act(async () => {
+				delete3.click();
+			});
+
+			expect(document.activeElement).toBe(getByTestId('delete2'));
+		});
+
+		it('should move focus to the next element when the focused one is disabled', async () => {
+			const { getByTestId } = render(
+				<FocusScope>
+					<input data-testid="input1" />
+					<button data-testid="submit">Submit</button>
+					<input data-testid="input2" />
+				</FocusScope>,
+			);
+
+			let submit = getByTestId('submit');
+			act(() => {
+				submit.focus();
+			});
+			await act(async () => {
+				submit.disabled = true;
+			});
+
+			expect(document.activeElement).toBe(getByTestId('input2'));
+		});
+
+		it('should let onFocusLoss pick the element to focus', async () => {
+			let onFocusLoss = jest.fn(() =>
+				document.querySelector('[data-testid="delete1"]'),
+			);
+			const { getByTestId } = render(<List onFocusLoss={onFocusLoss} />);
+
+			let delete2 = getByTestId('delete2');
+			act(() => {
+				delete2.focus();
+			});
+			await act(async () => {
+				delete2.click();
+			});
+
+			expect(onFocusLoss).toHaveBeenCalledWith(delete2);
+			expect(document.activeElement).toBe(getByTestId('delete1'));
+		});
+
+		it('should not recover focus if onFocusLoss returns false', async () => {
+			let onFocusLoss = jest.fn(() => false);
+			const { getByTestId } = render(<List onFocusLoss={onFocusLoss} />);
+
+			let delete2 = getByTestId('delete2');
+			act(() => {
+				delete2.focus();
+			});
+			await act(async () => {
+				delete2.click();
+			});
+
+			expect(onFocusLoss).toHaveBeenCalledWith(delete2);
+			expect(document.activeElement).toBe(document.body);
+		});
+	});
+
+	describe('focus visible', () => {
+		it('should mark elements focused by keyboard-driven moves', async () => {
+			window.requestAnimationFrame.mockImplementation(() => {});
+			const { getByTestId } = render(
+				<FocusScope autoFocus={false}>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+				</FocusScope>,
+			);
+
+			let input1 = getByTestId('input1');
+			let input2 = getByTestId('input2');
+			act(() => {
+				input2.focus();
+			});
+
+			fireEvent.keyDown(input2, { key: 'Tab' });
+			expect(document.activeElement).toBe(input1);
+			expect(input1).toHaveAttribute('data-focus-visible');
+
+			act(() => {
+				input2.focus();
+			});
+			expect(input1).not.toHaveAttribute('data-focus-visible');
+		});
+
+		it('should not mark elements focused after a pointer interaction', async () => {
+			function Comp({ show }) {
+				return (
+					<>
+						<button data-testid="trigger">Open</button>
+						{show && (
+							<FocusScope>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp show={false} />);
+			fireEvent.mouseDown(getByTestId('trigger'));
+
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+			expect(getByTestId('input1')).not.toHaveAttribute('data-focus-visible');
+
+			// NOTE(joel): Close the scope with the keyboard and reopen it with a
+			// click, while no scope is mounted.
+			fireEvent.keyDown(getByTestId('input1'), { key: 'Escape' });
+			rerender(<Comp show={false} />);
+			fireEvent.mouseDown(getByTestId('trigger'));
+
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+			expect(getByTestId('input1')).not.toHaveAttribute('data-focus-visible');
+		});
+
+		it('should not mark elements focused after the click that mounted the first scope', async () => {
+			let iframe = document.createElement('iframe');
+			document.body.appendChild(iframe);
+			let iframeDocument = iframe.contentDocument;
+			let container = iframeDocument.createElement('div');
+			iframeDocument.body.appendChild(container);
+
+			function Comp() {
+				let [show, setShow] = React.useState(false);
+				return (
+					<>
+						<button
+							data-testid="trigger"
+							onClick={() => flushSync(() => setShow(true))}
+						>
+							Open
+						</button>
+						{show && (
+							<FocusScope>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</>
+				);
+			}
+
+			const { getByTestId, unmount } = render(<Comp />, {
+				container,
+				baseElement: iframeDocument.body,
+			});
+			fireEvent.keyDown(document.body, { key: 'Tab' });
+
+			// NOTE(joel): No scope was mounted in the iframe before, so only the
+			// click itself tells that it came from a pointer.
+			fireEvent.click(getByTestId('trigger'), { detail: 1 });
+			let input1 = getByTestId('input1');
+			expect(iframeDocument.activeElement).toBe(input1);
+			expect(input1).not.toHaveAttribute('data-focus-visible');
+
+			unmount();
+			iframe.remove();
+		});
+	});
+
+	describe('debug', () => {
+		it('should log activation, autofocus, containment and restore', async () => {
+			let log = jest.fn();
+			function Comp({ show }) {
+				return (
+					<>
+						<button data-testid="trigger" />
+						{show && (
+							<FocusScope debug={{ log }}>
+								<input data-testid="input1" />
+								<input data-testid="input2" />
+							</FocusScope>
+						)}
+					</>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp show={false} />);
+			let trigger = getByTestId('trigger');
+			act(() => {
+				trigger.focus();
+			});
+
+			rerender(<Comp show />);
+			let input1 = getByTestId('input1');
+			let input2 = getByTestId('input2');
+			expect(log).toHaveBeenCalledWith(
+				expect.objectContaining({ type: 'activate' }),
+			);
+			expect(log).toHaveBeenCalledWith(
+				expect.objectContaining({
+					type: 'autoFocus',
+					source: trigger,
+					target: input1,
+				}),
+			);
+
+			act(() => {
+				input2.focus();
+			});
+			fireEvent.keyDown(input2, { key: 'Tab' });
+			expect(log).toHaveBeenCalledWith({
+				type: 'contain',
+				reason: 'Tab wrapped around the scope',
+				source: input2,
+				target: input1,
+			});
+
+			let callbacks = [];
+			window.requestAnimationFrame.mockImplementation(cb => callbacks.push(cb));
+			rerender(<Comp show={false} />);
+			act(() => {
+				callbacks.forEach(cb => cb());
+			});
+			expect(log).toHaveBeenCalledWith(
+				expect.objectContaining({ type: 'deactivate' }),
+			);
+			expect(log).toHaveBeenCalledWith(
+				expect.objectContaining({ type: 'restore', target: trigger }),
+			);
+		});
+
+		it('should be enabled by a provider or the global flag', async () => {
+			let providerLog = jest.fn();
+			let { unmount } = render(
+				<FocusScopeDebugProvider debug={{ log: providerLog }}>
+					<FocusScope>
+						<input data-testid="input1" />
+					</FocusScope>
+				</FocusScopeDebugProvider>,
+			);
+			expect(providerLog).toHaveBeenCalledWith(
+				expect.objectContaining({ type: 'autoFocus' }),
+			);
+			unmount();
+
+			let globalLog = jest.fn();
+			setFocusScopeDebug({ log: globalLog });
+			try {
+				render(
+					<FocusScope>
+						<input data-testid="input1" />
+					</FocusScope>,
+				);
+				expect(globalLog).toHaveBeenCalledWith(
+					expect.objectContaining({ type: 'autoFocus' }),
+				);
+			} finally {
+				act(() => {
+					setFocusScopeDebug(false);
+				});
+			}
+		});
+
+		it('should not log unless enabled', async () => {
+			let spy = jest.spyOn(console, 'debug').mockImplementation(() => {});
+			try {
+				render(
+					<FocusScope>
+						<input data-testid="input1" />
+					</FocusScope>,
+				);
+				expect(spy).not.toHaveBeenCalled();
+			} finally {
+				spy.mockRestore();
+			}
+		});
+
+		it('should outline the active scope and its restore target', async () => {
+			function Comp({ show }) {
+				return (
+					<>
+						<button data-testid="trigger" />
+						{show && (
+							<FocusScope debug={{ overlay: true, log: () => {} }}>
+								<input data-testid="input1" />
+								<input data-testid="input2" />
+							</FocusScope>
+						)}
+					</>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp show={false} />);
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+			rerender(<Comp show />);
+
+			let overlay = document.querySelector('[data-focus-scope-debug]');
+			expect(overlay).toHaveAttribute('aria-hidden', 'true');
+			expect(
+				overlay.querySelectorAll('[data-focus-scope-debug-outline="scope"]'),
+			).toHaveLength(2);
+			expect(
+				overlay.querySelectorAll(
+					'[data-focus-scope-debug-outline="restore-target"]',
+				),
+			).toHaveLength(1);
+
+			rerender(<Comp show={false} />);
+			expect(document.querySelector('[data-focus-scope-debug]')).toBeNull();
+		});
+
+		it('should outline a focused scope inside of an iframe', async () => {
+			let iframe = document.createElement('iframe');
+			document.body.appendChild(iframe);
+			let iframeDocument = iframe.contentDocument;
+			let container = iframeDocument.createElement('div');
+			iframeDocument.body.appendChild(container);
+
+			const { getByTestId, unmount } = render(
+				<FocusScope
+					contain={false}
+					autoFocus={false}
+					debug={{ overlay: true, log: () => {} }}
+				>
+					<input data-testid="input1" />
+				</FocusScope>,
+				{ container, baseElement: iframeDocument.body },
+			);
+
+			act(() => {
+				getByTestId('input1').focus();
+			});
+			let overlay = iframeDocument.querySelector('[data-focus-scope-debug]');
+			expect(
+				overlay.querySelectorAll('[data-focus-scope-debug-outline="scope"]'),
+			).toHaveLength(1);
+
+			unmount();
+			iframe.remove();
+		});
+	});
+
+	describe('live scope nodes', () => {
+		function Swap({ label }) {
+			let [swapped, setSwapped] = React.useState(false);
+			return swapped ? (
+				<input data-testid="new" aria-label={label} />
+			) : (
+				<button data-testid="old" onClick={() => setSwapped(true)}>
+					{label}
+				</button>
+			);
+		}
+
+		it('should track nodes a child swaps on its own state change', async () => {
+			let ref = React.createRef();
+			const { getByTestId } = render(
+				<FocusScope ref={ref} autoFocus={false}>
+					<input data-testid="input1" />
+					<Swap label="Swap" />
+				</FocusScope>,
+			);
+
+			await act(async () => {
+				getByTestId('old').click();
+			});
+
+			let newInput = getByTestId('new');
+			expect(ref.current.scopeNodes).toEqual([getByTestId('input1'), newInput]);
+			expect(ref.current.contains(newInput)).toBe(true);
+		});
+
+		it('should contain focus in nodes added after mount', async () => {
+			const { getByTestId } = render(
+				<>
+					<input data-testid="outside" />
+					<FocusScope>
+						<input data-testid="input1" />
+						<Swap label="Swap" />
+					</FocusScope>
+				</>,
+			);
+
+			await act(async () => {
+				getByTestId('old').click();
+			});
+
+			let input1 = getByTestId('input1');
+			let newInput = getByTestId('new');
+			act(() => {
+				newInput.focus();
+			});
+			expect(document.activeElement).toBe(newInput);
+
+			fireEvent.keyDown(document.activeElement, { key: 'Tab' });
+			expect(document.activeElement).toBe(input1);
+
+			fireEvent.keyDown(document.activeElement, {
+				key: 'Tab',
+				shiftKey: true,
+			});
+			expect(document.activeElement).toBe(newInput);
+
+			act(() => {
+				getByTestId('outside').focus();
+			});
+			expect(document.activeElement).toBe(newInput);
+		});
+	});
+
+	describe('restore targets', () => {
+		it('should restore focus to a ref', async () => {
+			function Comp({ show }) {
+				let ref = React.useRef();
+				return (
+					<div>
+						<button data-testid="trigger" />
+						<button data-testid="target" ref={ref} />
+						{show && (
+							<FocusScope restoreFocus={ref}>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			rerender(<Comp />);
+			expect(document.activeElement).toBe(getByTestId('target'));
+		});
+
+		it('should resolve function targets on unmount', async () => {
+			let target = null;
+			function Comp({ show }) {
+				return (
+					<div>
+						<button data-testid="trigger" />
+						<button data-testid="target" />
+						{show && (
+							<FocusScope restoreFocus={() => target}>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+
+			rerender(<Comp show />);
+			target = getByTestId('target');
+
+			rerender(<Comp />);
+			expect(document.activeElement).toBe(target);
+		});
+
+		it('should try a chain of fallback targets', async () => {
+			function Comp({ rows, show }) {
+				let listRef = React.useRef();
+				let mainRef = React.useRef();
+				return (
+					<main tabIndex={-1} ref={mainRef} data-testid="main">
+						<ul ref={listRef}>
+							{rows.map(row => (
+								<li key={row}>
+									<button data-testid={row} />
+								</li>
+							))}
+						</ul>
+						{show && (
+							<FocusScope
+								restoreFocus={[
+									nodeToRestore => nodeToRestore,
+									listRef,
+									mainRef,
+								]}
+							>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</main>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp rows={['row1']} />);
+			act(() => {
+				getByTestId('row1').focus();
+			});
+
+			rerender(<Comp rows={['row1']} show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			// NOTE(joel): The trigger is removed while the scope is open, and the
+			// list is not focusable, so focus moves to the landmark.
+			rerender(<Comp rows={[]} show />);
+			rerender(<Comp rows={[]} />);
+			expect(document.activeElement).toBe(getByTestId('main'));
+		});
+
+		it('should restore focus even if it left the scope when set to "always"', async () => {
+			function Comp({ show, restoreFocus }) {
+				return (
+					<div>
+						<button data-testid="trigger" />
+						<button data-testid="outside" />
+						{show && (
+							<FocusScope contain={false} restoreFocus={restoreFocus}>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+
+			rerender(<Comp show restoreFocus />);
+			act(() => {
+				getByTestId('outside').focus();
+			});
+			rerender(<Comp restoreFocus />);
+			expect(document.activeElement).toBe(getByTestId('outside'));
+
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+			rerender(<Comp show restoreFocus="always" />);
+			act(() => {
+				getByTestId('outside').focus();
+			});
+
+			// NOTE(joel): React restores the previously focused element after
+			// committing, so the frame must run after the unmount, like it would in
+			// a browser.
+			let callbacks = [];
+			window.requestAnimationFrame.mockImplementation(cb => callbacks.push(cb));
+			rerender(<Comp restoreFocus="always" />);
+			act(() => {
+				callbacks.forEach(cb => cb());
+			});
+			expect(document.activeElement).toBe(getByTestId('trigger'));
+		});
+	});
+
+	describe('focus history', () => {
+		beforeEach(() => {
+			clearFocusHistory();
+		});
+
+		it('should restore focus to the most recent element still in the DOM', async () => {
+			function Comp({ show, showTrigger }) {
+				return (
+					<>
+							<button data-testid="previous" />
+						{showTrigger && <button data-testid="trigger" />}
+						{show && (
+							<FocusScope>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</>
+				);
+			}
+
+			const { getByTestId, rerender } = render(
+				<Comp show={false} showTrigger />,
+			);
+			act(() => {
+				getByTestId('previous').focus();
+			});
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+
+			rerender(<Comp show showTrigger />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			// NOTE(joel): The trigger goes away while the scope is open, e.g. because
+			// it was part of a list.
+			rerender(<Comp show showTrigger={false} />);
+
+			let callbacks = [];
+			window.requestAnimationFrame.mockImplementation(cb => callbacks.push(cb));
+			rerender(<Comp show={false} showTrigger={false} />);
+			act(() => {
+				callbacks.forEach(cb => cb());
+			});
+			expect(document.activeElement).toBe(getByTestId('previous'));
+		});
+
+		it('should read, push onto and clear the focus history', async () => {
+			const { getByTestId, rerender } = render(
+				<>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+				</>,
+			);
+
+			let input1 = getByTestId('input1');
+			let input2 = getByTestId('input2');
+			act(() => {
+				input1.focus();
+			});
+			act(() => {
+				input2.focus();
+			});
+			act(() => {
+				input1.focus();
+			});
+			expect(getFocusHistory()).toEqual([input2, input1]);
+
+			pushFocusHistory(input2);
+			pushFocusHistory(null);
+			expect(getFocusHistory()).toEqual([input1, input2]);
+
+			rerender(
+				<>
+					<input data-testid="input2" />
+				</>,
+			);
+			expect(getFocusHistory()).toEqual([getByTestId('input2')]);
+
+			clearFocusHistory();
+			expect(getFocusHistory()).toEqual([]);
+		});
+
+		it('should only keep the most recent elements', async () => {
+			let buttons = [];
+			for (let i = 0; i < 25; i++) {
+				buttons.push(<button key={i} data-testid={`button${i}`} />);
+			}
+			const { getByTestId } = render(<>{buttons}</>);
+
+			for (let i = 0; i < 25; i++) {
+				pushFocusHistory(getByTestId(`button${i}`));
+			}
+
+			let history = getFocusHistory();
+			expect(history).toHaveLength(20);
+			expect(history[0]).toBe(getByTestId('button5'));
+			expect(history[19]).toBe(getByTestId('button24'));
+		});
+	});
+
+	describe('scrollBehavior', () => {
+		it('should apply a custom scroll behavior per action', async () => {
+			let onAutoFocus = jest.fn();
+			let onTab = jest.fn();
+			const { getByTestId } = render(
+				<FocusScope scrollBehavior={{ autoFocus: onAutoFocus, tab: onTab }}>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+				</FocusScope>,
+			);
+
+			let input1 = getByTestId('input1');
+			let input2 = getByTestId('input2');
+			expect(onAutoFocus).toHaveBeenCalledWith(input1);
+
+			fireEvent.keyDown(input1, { key: 'Tab' });
+			expect(document.activeElement).toBe(input2);
+			expect(onTab).toHaveBeenCalledWith(input2);
+		});
+
+		it('should scroll the closest scroll container below sticky headers', async () => {
+			const { getByTestId } = render(
+				<div data-testid="scroller" style={{ overflowY: 'auto' }}>
+					<div data-testid="header" style={{ position: 'sticky', top: 0 }} />
+					<FocusScope autoFocus={false} scrollBehavior="nearest">
+						<input data-testid="input1" />
+						<input data-testid="input2" />
+					</FocusScope>
+				</div>,
+			);
+
+			let scroller = getByTestId('scroller');
+			let scrollTop = 0;
+			Object.defineProperties(scroller, {
+				scrollHeight: { value: 500 },
+				clientHeight: { value: 100 },
+				scrollTop: {
+					get: () => scrollTop,
+					set: value => (scrollTop = value),
+				},
+			});
+
+			let rects = {
+				scroller: { top: 0, bottom: 100 },
+				header: { top: 0, bottom: 20 },
+				input1: { top: 5, bottom: 25 },
+				input2: { top: 150, bottom: 170 },
+			};
+			for (let [testId, rect] of Object.entries(rects)) {
+				getByTestId(testId).getBoundingClientRect = () => rect;
+			}
+
+			let input1 = getByTestId('input1');
+			act(() => {
+				input1.focus();
+			});
+
+			fireEvent.keyDown(input1, { key: 'Tab' });
+			expect(document.activeElement).toBe(getByTestId('input2'));
+			expect(scrollTop).toBe(70);
+
+			fireEvent.keyDown(getByTestId('input2'), { key: 'Tab', shiftKey: true });
+			expect(document.activeElement).toBe(input1);
+			expect(scrollTop).toBe(55);
+		});
+	});
+
+	describe('hideOutside', () => {
+		it('should hide everything outside of the scope', async () => {
+			function Comp({ show }) {
+				return (
+					<div>
+						<header data-testid="header">
+							<input />
+						</header>
+						<main data-testid="main">
+							<p data-testid="text" />
+							{show && (
+								<FocusScope hideOutside>
+									<input data-testid="input1" />
+								</FocusScope>
+							)}
+						</main>
+						<div data-testid="live" aria-live="polite" />
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp show />);
+			expect(getByTestId('header')).toHaveAttribute('aria-hidden', 'true');
+			expect(getByTestId('text')).toHaveAttribute('aria-hidden', 'true');
+			expect(getByTestId('main')).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('input1')).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('live')).not.toHaveAttribute('aria-hidden');
+
+			rerender(<Comp />);
+			expect(getByTestId('header')).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('text')).not.toHaveAttribute('aria-hidden');
+		});
+
+		it('should keep portaled child scopes visible and support inert', async () => {
+			const { getByTestId } = render(
+				<div>
+					<div data-testid="outside" />
+					<FocusScope hideOutside="inert">
+						<input data-testid="input1" />
+						{createPortal(
+							<div data-testid="portal">
+								<FocusScope contain={false} autoFocus={false}>
+									<input data-testid="input2" />
+								</FocusScope>
+							</div>,
+							document.body,
+						)}
+					</FocusScope>
+				</div>,
+			);
+
+			expect(getByTestId('outside')).toHaveAttribute('inert');
+			expect(getByTestId('outside')).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('input1')).not.toHaveAttribute('inert');
+			expect(getByTestId('portal')).not.toHaveAttribute('inert');
+			expect(getByTestId('input2')).not.toHaveAttribute('inert');
+		});
+
+		it('should keep child scopes visible that are portaled in later', async () => {
+			let portalRoot = document.createElement('div');
+			portalRoot.setAttribute('data-testid', 'portal-root');
+			document.body.appendChild(portalRoot);
+
+			function Comp({ showChild }) {
+				return (
+					<FocusScope hideOutside>
+						<input data-testid="input1" />
+						{showChild &&
+							createPortal(
+								<FocusScope contain={false} autoFocus={false}>
+									<input data-testid="input2" />
+								</FocusScope>,
+								portalRoot,
+							)}
+					</FocusScope>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			expect(portalRoot).toHaveAttribute('aria-hidden', 'true');
+
+			rerender(<Comp showChild />);
+			expect(portalRoot).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('input2')).not.toHaveAttribute('aria-hidden');
+
+			rerender(<Comp />);
+			expect(portalRoot).toHaveAttribute('aria-hidden', 'true');
+
+			portalRoot.remove();
+		});
+
+		it('should compose stacked scopes and restore previous values', async () => {
+			function Comp({ showDialog, showAlert }) {
+				return (
+					<div>
+						<div data-testid="hidden" aria-hidden="false" />
+						{showDialog && (
+							<div data-testid="dialog">
+								<FocusScope hideOutside>
+									<input data-testid="input1" />
+								</FocusScope>
+							</div>
+						)}
+						{showAlert && (
+							<div data-testid="alert">
+								<FocusScope hideOutside>
+									<input data-testid="input2" />
+								</FocusScope>
+							</div>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp showDialog />);
+			expect(getByTestId('hidden')).toHaveAttribute('aria-hidden', 'true');
+
+			rerender(<Comp showDialog showAlert />);
+			expect(getByTestId('hidden')).toHaveAttribute('aria-hidden', 'true');
+			expect(getByTestId('dialog')).toHaveAttribute('aria-hidden', 'true');
+			expect(getByTestId('alert')).not.toHaveAttribute('aria-hidden');
+
+			rerender(<Comp showDialog />);
+			expect(getByTestId('hidden')).toHaveAttribute('aria-hidden', 'true');
+			expect(getByTestId('dialog')).not.toHaveAttribute('aria-hidden');
+
+			rerender(<Comp />);
+			expect(getByTestId('hidden')).toHaveAttribute('aria-hidden', 'false');
+		});
+
+		it('should only hide outside of the active trap', async () => {
+			function Comp({ showAlert, showInput, paused }) {
+				return (
+					<div>
+						<div data-testid="outside" />
+						<div data-testid="dialog">
+							<FocusScope hideOutside paused={paused}>
+								<input data-testid="input1" />
+								{showInput && <input data-testid="input2" />}
+							</FocusScope>
+						</div>
+						{showAlert && (
+							<div data-testid="alert">
+								<FocusScope hideOutside>
+									<input data-testid="input3" />
+								</FocusScope>
+							</div>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			rerender(<Comp showAlert />);
+			expect(document.activeElement).toBe(getByTestId('input3'));
+
+			// NOTE(joel): The dialog's nodes change while the alert is on top of it.
+			rerender(<Comp showAlert showInput />);
+			expect(getByTestId('alert')).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('dialog')).toHaveAttribute('aria-hidden', 'true');
+			expect(getByTestId('outside')).toHaveAttribute('aria-hidden', 'true');
+
+			rerender(<Comp showInput />);
+			expect(getByTestId('dialog')).not.toHaveAttribute('aria-hidden');
+			expect(getByTestId('outside')).toHaveAttribute('aria-hidden', 'true');
+
+			rerender(<Comp showInput paused />);
+			expect(getByTestId('outside')).not.toHaveAttribute('aria-hidden');
+
+			rerender(<Comp showInput />);
+			expect(getByTestId('outside')).toHaveAttribute('aria-hidden', 'true');
+		});
+	});
+
+	describe('lifecycle callbacks', () => {
+		it('should notify scopes when they become or stop being the active trap', async () => {
+			let events = [];
+			function Comp({ showChild, paused }) {
+				return (
+					<FocusScope
+						paused={paused}
+						onActivate={() => events.push('parent:activate')}
+						onDeactivate={() => events.push('parent:deactivate')}
+					>
+						<input data-testid="input1" />
+						{showChild && (
+							<FocusScope
+								onActivate={() => events.push('child:activate')}
+								onDeactivate={() => events.push('child:deactivate')}
+							>
+								<input data-testid="input2" />
+							</FocusScope>
+						)}
+					</FocusScope>
+				);
+			}
+
+			const { rerender, unmount } = render(<Comp />);
+			expect(events).toEqual(['parent:activate']);
+
+			rerender(<Comp showChild />);
+			expect(events).toEqual([
+				'parent:activate',
+				'parent:deactivate',
+				'child:activate',
+			]);
+
+			events = [];
+			rerender(<Comp />);
+			expect(events).toEqual(['child:deactivate', 'parent:activate']);
+
+			events = [];
+			rerender(<Comp paused />);
+			rerender(<Comp />);
+			expect(events).toEqual(['parent:deactivate', 'parent:activate']);
+
+			events = [];
+			unmount();
+			expect(events).toEqual(['parent:deactivate']);
+		});
+
+		it('should not activate scopes that mount paused', async () => {
+			let events = [];
+			function Comp({ paused }) {
+				return (
+					<FocusScope
+						paused={paused}
+						onActivate={() => events.push('activate')}
+						onDeactivate={() => events.push('deactivate')}
+					>
+						<input data-testid="input1" />
+					</FocusScope>
+				);
+			}
+
+			const { rerender } = render(<Comp paused />);
+			expect(events).toEqual([]);
+
+			rerender(<Comp />);
+			expect(events).toEqual(['activate']);
+		});
+
+		it('should report attempts to move focus out of the scope', async () => {
+			let onFocusEscapeAttempt = jest.fn();
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="outside" />
+					<FocusScope onFocusEscapeAttempt={onFocusEscapeAttempt}>
+						<input data-testid="input1" />
+					</FocusScope>
+				</div>,
+			);
+
+			let input1 = getByTestId('input1');
+			let outside = getByTestId('outside');
+			expect(document.activeElement).toBe(input1);
+
+			act(() => {
+				outside.focus();
+			});
+			expect(onFocusEscapeAttempt).toHaveBeenCalledWith(outside);
+			expect(document.activeElement).toBe(input1);
+		});
+
+		it('should notify before and after focus is restored', async () => {
+			let events = [];
+			function Comp({ show }) {
+				return (
+					<div>
+						<button data-testid="trigger" />
+						{show && (
+							<FocusScope
+								onBeforeRestoreFocus={() => events.push('before')}
+								onAfterRestoreFocus={element => events.push(['after', element])}
+							>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			let trigger = getByTestId('trigger');
+			act(() => {
+				trigger.focus();
+			});
+
+			rerender(<Comp show />);
+			rerender(<Comp />);
+			expect(events).toEqual(['before', ['after', trigger]]);
+			expect(document.activeElement).toBe(trigger);
+		});
+	});
+
+	describe('allowOutside', () => {
+		it('should let allowed outside elements keep focus', async () => {
+			function Comp() {
+				let toastRef = React.useRef();
+				return (
+					<div>
+						<div ref={toastRef}>
+							<button data-testid="toast" />
+						</div>
+						<div className="palette">
+							<input data-testid="palette" />
+						</div>
+						<input data-testid="extension" data-extension />
+						<input data-testid="outside" />
+						<FocusScope
+							allowOutside={[
+								toastRef,
+								'.palette',
+								target => target.hasAttribute('data-extension'),
+							]}
+						>
+							<input data-testid="input1" />
+						</FocusScope>
+					</div>
+				);
+			}
+
+			const { getByTestId } = render(<Comp />);
+			let input1 = getByTestId('input1');
+			expect(document.activeElement).toBe(input1);
+
+			for (let testId of ['toast', 'palette', 'extension']) {
+				act(() => {
+					getByTestId(testId).focus();
+				});
+				expect(document.activeElement).toBe(getByTestId(testId));
+			}
+
+			act(() => {
+				getByTestId('outside').focus();
+			});
+			expect(document.activeElement).toBe(input1);
+		});
+
+		it('should let onInteractOutside veto allowed outside elements', async () => {
+			let onInteractOutside = jest.fn(() => false);
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="toast" className="toast" />
+					<FocusScope
+						allowOutside=".toast"
+						onInteractOutside={onInteractOutside}
+					>
+						<input data-testid="input1" />
+					</FocusScope>
+				</div>,
+			);
+
+			let toast = getByTestId('toast');
+			act(() => {
+				toast.focus();
+			});
+			expect(onInteractOutside).toHaveBeenCalledWith(toast);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+		});
+	});
+
+	describe('imperative handle', () => {
+		it('should move focus to the first and last element', async () => {
+			let ref = React.createRef();
+			const { getByTestId } = render(
+				<FocusScope ref={ref}>
+					<input data-testid="input1" />
+					<input data-testid="input2" tabIndex={-1} />
+					<input data-testid="input3" />
+				</FocusScope>,
+			);
+
+			act(() => {
+				expect(ref.current.focusLast()).toBe(getByTestId('input3'));
+			});
+			expect(document.activeElement).toBe(getByTestId('input3'));
+
+			act(() => {
+				expect(ref.current.focusFirst()).toBe(getByTestId('input1'));
+			});
+			expect(document.activeElement).toBe(getByTestId('input1'));
+		});
+
+		it('should expose the scope nodes and its focusable elements', async () => {
+			let ref = React.createRef();
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="outside" />
+					<FocusScope ref={ref} contain={false} autoFocus={false}>
+						<div data-testid="container">
+							<input data-testid="input1" />
+							<input data-testid="input2" tabIndex={-1} />
+						</div>
+						<input data-testid="input3" />
+					</FocusScope>
+				</div>,
+			);
+
+			expect(ref.current.scopeNodes).toEqual([
+				getByTestId('container'),
+				getByTestId('input3'),
+			]);
+			expect(ref.current.getFocusableElements()).toEqual([
+				getByTestId('input1'),
+				getByTestId('input2'),
+				getByTestId('input3'),
+			]);
+			expect(ref.current.getFocusableElements({ tabbable: true })).toEqual([
+				getByTestId('input1'),
+				getByTestId('input3'),
+			]);
+			expect(ref.current.contains(getByTestId('input2'))).toBe(true);
+			expect(ref.current.contains(getByTestId('outside'))).toBe(false);
+		});
+
+		it('should restore focus on demand', async () => {
+			let ref = React.createRef();
+			function Comp({ show }) {
+				return (
+					<div>
+						<button data-testid="trigger" />
+						{show && (
+							<FocusScope ref={ref} contain={false}>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />);
+			act(() => {
+				getByTestId('trigger').focus();
+			});
+
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			act(() => {
+				expect(ref.current.restore()).toBe(true);
+			});
+			expect(document.activeElement).toBe(getByTestId('trigger'));
+		});
+	});
+
+	describe('portals', () => {
+		it('should contain focus within portaled child scopes', async () => {
+			function Comp() {
+				return (
+					<FocusScope>
+						<input data-testid="input1" />
+						{createPortal(
+							<FocusScope contain={false} autoFocus={false}>
+								<input data-testid="input2" />
+							</FocusScope>,
+							document.body,
+						)}
+					</FocusScope>
+				);
+			}
+
+			let { getByTestId } = render(
+				<div>
+					<input data-testid="outside" />
+					<Comp />
+				</div>,
+			);
+
+			let input1 = getByTestId('input1');
+			let input2 = getByTestId('input2');
+			expect(document.activeElement).toBe(input1);
+
+			act(() => {
+				input2.focus();
+			});
+			expect(document.activeElement).toBe(input2);
+
+			act(() => {
+				getByTestId('outside').focus();
+			});
+			expect(document.activeElement).toBe(input2);
+		});
+
+		it('should restore focus when focus is in a nested portaled scope', async () => {
+			function Comp({ show }) {
+				return (
+					<FocusScope>
+						<button data-testid="trigger" />
+						{show &&
+							createPortal(
+								<FocusScope>
+									<input data-testid="input1" />
+									{createPortal(
+										<FocusScope>
+											<input data-testid="input2" />
+										</FocusScope>,
+										document.body,
+									)}
+								</FocusScope>,
+								document.body,
+							)}
+					</FocusScope>
+				);
+			}
+
+			let { getByTestId, rerender } = render(<Comp />);
+
+			let trigger = getByTestId('trigger');
+			expect(document.activeElement).toBe(trigger);
+
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input2'));
+
+			rerender(<Comp />);
+			expect(document.activeElement).toBe(trigger);
+		});
+
+		it('should move focus into the parent scope if no restore target can be focused', async () => {
+			let callbacks = [];
+			window.requestAnimationFrame.mockImplementation(cb => callbacks.push(cb));
+
+			function Comp({ show }) {
+				return (
+					<FocusScope>
+						<button data-testid="button1" />
+						{show &&
+							createPortal(
+								<FocusScope restoreFocus={() => null}>
+									<input data-testid="input1" />
+								</FocusScope>,
+								document.body,
+							)}
+					</FocusScope>
+				);
+			}
+
+			let { getByTestId, rerender } = render(<Comp />);
+
+			let button1 = getByTestId('button1');
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			act(() => {
+				button1.blur();
+			});
+			rerender(<Comp />);
+			expect(document.activeElement).toBe(document.body);
+
+			act(() => {
+				callbacks.forEach(cb => cb());
+			});
+			expect(document.activeElement).toBe(button1);
+		});
+		it('should not move focus if a child scope unmounts with restoreFocus={false}', async () => {
+			let callbacks = [];
+			window.requestAnimationFrame.mockImplementation(cb => callbacks.push(cb));
+			let onBeforeRestoreFocus = jest.fn();
+			let onAfterRestoreFocus = jest.fn();
+
+			function Comp({ show }) {
+				return (
+					<FocusScope contain={false} autoFocus={false}>
+						<button data-testid="button1" />
+						{show &&
+							createPortal(
+								<FocusScope
+									restoreFocus={false}
+									onBeforeRestoreFocus={onBeforeRestoreFocus}
+									onAfterRestoreFocus={onAfterRestoreFocus}
+								>
+									<input data-testid="input1" />
+								</FocusScope>,
+								document.body,
+							)}
+					</FocusScope>
+				);
+			}
+
+			let { getByTestId, rerender } = render(<Comp />);
+
+			rerender(<Comp show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			rerender(<Comp />);
+			act(() => {
+				callbacks.forEach(cb => cb());
+			});
+			expect(document.activeElement).toBe(document.body);
+			expect(onBeforeRestoreFocus).not.toHaveBeenCalled();
+			expect(onAfterRestoreFocus).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('shadow DOM', () => {
+		function ShadowField(props) {
+			let attachShadow = React.useCallback(node => {
+				if (node && !node.shadowRoot) {
+					node.attachShadow({ mode: 'open' }).innerHTML =
+						'<input id="inner1"><slot></slot><input id="inner2">';
+				}
+			}, []);
+			return <div {...props} ref={attachShadow} />;
+		}
+
+		function getDeepActiveElement() {
+			let activeElement = document.activeElement;
+			while (activeElement?.shadowRoot?.activeElement) {
+				activeElement = activeElement.shadowRoot.activeElement;
+			}
+			return activeElement;
+		}
+
+		it('should contain focus within shadow roots and slotted content', async () => {
+			const { getByTestId } = render(
+				<FocusScope>
+					<input data-testid="input1" />
+					<ShadowField data-testid="field">
+						<button data-testid="slotted" />
+					</ShadowField>
+					<input data-testid="input2" />
+				</FocusScope>,
+			);
+
+			const input1 = getByTestId('input1');
+			const input2 = getByTestId('input2');
+			const slotted = getByTestId('slotted');
+			const shadowRoot = getByTestId('field').shadowRoot;
+			const inner1 = shadowRoot.getElementById('inner1');
+			const inner2 = shadowRoot.getElementById('inner2');
+
+			expect(getDeepActiveElement()).toBe(input1);
+
+			await userEvent.tab();
+			expect(getDeepActiveElement()).toBe(inner1);
+
+			await userEvent.tab();
+			expect(getDeepActiveElement()).toBe(slotted);
+
+			await userEvent.tab();
+			expect(getDeepActiveElement()).toBe(inner2);
+
+			await userEvent.tab();
+			expect(getDeepActiveElement()).toBe(input2);
+
+			await userEvent.tab();
+			expect(getDeepActiveElement()).toBe(input1);
+
+			await userEvent.tab({ shift: true });
+			expect(getDeepActiveElement()).toBe(input2);
+
+			await userEvent.tab({ shift: true });
+			expect(getDeepActiveElement()).toBe(inner2);
+
+			await userEvent.tab({ shift: true });
+			expect(getDeepActiveElement()).toBe(slotted);
+
+			await userEvent.tab({ shift: true });
+			expect(getDeepActiveElement()).toBe(inner1);
+		});
+
+		it('should treat elements inside shadow roots as in scope', async () => {
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="outside" />
+					<FocusScope>
+						<ShadowField data-testid="field" />
+					</FocusScope>
+				</div>,
+			);
+
+			const inner1 = getByTestId('field').shadowRoot.getElementById('inner1');
+			const inner2 = getByTestId('field').shadowRoot.getElementById('inner2');
+
+			// NOTE(joel): The first tabbable element is inside the shadow root.
+			expect(getDeepActiveElement()).toBe(inner1);
+
+			act(() => {
+				inner2.focus();
+			});
+			fireEvent.focusIn(inner2);
+			expect(getDeepActiveElement()).toBe(inner2);
+
+			act(() => {
+				getByTestId('outside').focus();
+			});
+			expect(getDeepActiveElement()).toBe(inner2);
+		});
+
+		it('should not search for shadow roots on every Tab', async () => {
+			const { getByTestId } = render(
+				<FocusScope>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+					<ShadowField data-testid="field" />
+				</FocusScope>,
+			);
+
+			const querySelectorAll = jest.spyOn(
+				Element.prototype,
+				'querySelectorAll',
+			);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			await userEvent.tab();
+			expect(document.activeElement).toBe(getByTestId('input2'));
+
+			await userEvent.tab();
+			expect(getDeepActiveElement()).toBe(
+				getByTestId('field').shadowRoot.getElementById('inner1'),
+			);
+			expect(querySelectorAll).not.toHaveBeenCalledWith('*');
+			querySelectorAll.mockRestore();
+		});
+	});
+
+	describe('multiple documents', () => {
+		let iframe;
+		let iframeDocument;
+
+		beforeEach(() => {
+			iframe = document.createElement('iframe');
+			document.body.appendChild(iframe);
+			iframeDocument = iframe.contentDocument;
+			iframe.contentWindow.requestAnimationFrame = cb => cb();
+			iframe.contentWindow.cancelAnimationFrame = () => {};
+		});
+
+		afterEach(() => {
+			iframe.remove();
+		});
+
+		it('should contain focus within a scope rendered into an iframe', async () => {
+			const container = iframeDocument.createElement('div');
+			iframeDocument.body.appendChild(container);
+
+			const { getByTestId } = render(
+				<FocusScope>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+				</FocusScope>,
+				{ container, baseElement: iframeDocument.body },
+			);
+
+			const input1 = getByTestId('input1');
+			const input2 = getByTestId('input2');
+			expect(iframeDocument.activeElement).toBe(input1);
+			expect(document.activeElement).not.toBe(input1);
+
+			fireEvent.keyDown(input1, { key: 'Tab' });
+			expect(iframeDocument.activeElement).toBe(input2);
+
+			fireEvent.keyDown(input2, { key: 'Tab' });
+			expect(iframeDocument.activeElement).toBe(input1);
+
+			fireEvent.keyDown(input1, { key: 'Tab', shiftKey: true });
+			expect(iframeDocument.activeElement).toBe(input2);
+		});
+
+		it('should restore focus within the iframe document', async () => {
+			const container = iframeDocument.createElement('div');
+			iframeDocument.body.appendChild(container);
+
+			function Comp({ show }) {
+				return (
+					<div>
+						<button data-testid="trigger" />
+						{show && (
+							<FocusScope contain={false}>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Comp />, {
+				container,
+				baseElement: iframeDocument.body,
+			});
+
+			const trigger = getByTestId('trigger');
+			act(() => {
+				trigger.focus();
+			});
+
+			rerender(<Comp show />);
+			expect(iframeDocument.activeElement).toBe(getByTestId('input1'));
+
+			rerender(<Comp />);
+			expect(iframeDocument.activeElement).toBe(trigger);
+		});
+	});
+
+	describe('typeahead', () => {
+		afterEach(() => {
+			jest.useRealTimers();
+		});
+
+		it('should move focus to the element matching the typed characters', async () => {
+			jest.useFakeTimers();
+			const { getByTestId } = render(
+				<FocusScope typeahead>
+					<button data-testid="apple">Apple</button>
+					<button data-testid="banana">Banana</button>
+					<button data-testid="blueberry">Blueberry</button>
+					<button data-testid="cherry" data-typeahead="Kirsche">
+						Cherry
+					</button>
+				</FocusScope>,
+			);
+
+			expect(document.activeElement).toBe(getByTestId('apple'));
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('banana'));
+
+			fireEvent.keyDown(document.activeElement, { key: 'l' });
+			expect(document.activeElement).toBe(getByTestId('blueberry'));
+
+			act(() => {
+				jest.advanceTimersByTime(500);
+			});
+
+			fireEvent.keyDown(document.activeElement, { key: 'k' });
+			expect(document.activeElement).toBe(getByTestId('cherry'));
+		});
+
+		it('should cycle through elements when typing the same character', async () => {
+			const { getByTestId } = render(
+				<FocusScope typeahead>
+					<button data-testid="apple">Apple</button>
+					<button data-testid="banana">Banana</button>
+					<button data-testid="blueberry">Blueberry</button>
+				</FocusScope>,
+			);
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('banana'));
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('blueberry'));
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('banana'));
+		});
+
+		it('should ignore printable keys typed inside text fields', async () => {
+			const { getByTestId } = render(
+				<FocusScope typeahead>
+					<input data-testid="input" />
+					<button data-testid="banana">Banana</button>
+				</FocusScope>,
+			);
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('input'));
+		});
+
+		it('should only handle a key in the innermost scope that matches', async () => {
+			const { getByTestId } = render(
+				<FocusScope typeahead contain={false} autoFocus={false}>
+					<FocusScope typeahead contain={false} autoFocus={false}>
+						<button data-testid="blueberry">Blueberry</button>
+						<button data-testid="apple">Apple</button>
+					</FocusScope>
+					<button data-testid="banana">Banana</button>
+				</FocusScope>,
+			);
+
+			act(() => getByTestId('apple').focus());
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('blueberry'));
+		});
+
+		it('should handle a key in an inner scope that mounted later', async () => {
+			function Test({ showSubmenu }) {
+				return (
+					<FocusScope typeahead contain={false} autoFocus={false}>
+						<button data-testid="banana">Banana</button>
+						{showSubmenu && (
+							<FocusScope typeahead contain={false} autoFocus={false}>
+								<button data-testid="blueberry">Blueberry</button>
+								<button data-testid="apple">Apple</button>
+							</FocusScope>
+						)}
+						<button data-testid="bread">Bread</button>
+					</FocusScope>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Test />);
+			rerender(<Test showSubmenu />);
+
+			act(() => getByTestId('apple').focus());
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('blueberry'));
+		});
+
+		it('should do nothing if typeahead is not enabled', async () => {
+			const { getByTestId } = render(
+				<FocusScope>
+					<button data-testid="apple">Apple</button>
+					<button data-testid="banana">Banana</button>
+				</FocusScope>,
+			);
+
+			fireEvent.keyDown(document.activeElement, { key: 'b' });
+			expect(document.activeElement).toBe(getByTestId('apple'));
+		});
+	});
+});
+
+describe('useFocusManager', () => {
+	beforeEach(() => {
+		jest.spyOn(window, 'requestAnimationFrame').mockImplementation(cb => cb());
+	});
+
+	afterEach(() => {
+		window.requestAnimationFrame.mockRestore();
+	});
+
+	function Item({ wrap, ...props }) {
+		let focusManager = useFocusManager();
+		let onKeyDown = e => {
+			switch (e.key) {
+				case 'ArrowRight':
+					focusManager.focusNext({ wrap });
+					break;
+				case 'ArrowLeft':
+					focusManager.focusPrevious({ wrap });
+					break;
+				case 'Home':
+					focusManager.focusFirst();
+					break;
+				case 'End':
+					focusManager.focusLast();
+					break;
+			}
+		};
+		return <div {...props} tabIndex={-1} onKeyDown={onKeyDown} />;
+	}
+
+	it('should move focus forward and backward', async () => {
+		let { getByTestId } = render(
+			<FocusScope autoFocus={false}>
+				<Item data-testid="item1" />
+				<Item data-testid="item2" />
+				<Item data-testid="item3" />
+			</FocusScope>,
+		);
+
+		let item1 = getByTestId('item1');
+		let item2 = getByTestId('item2');
+		let item3 = getByTestId('item3');
+
+		act(() => {
+			item1.focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item2);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item3);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item3);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(item2);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(item1);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(item1);
+	});
+
+	it('should wrap around when `wrap` is set', async () => {
+		let { getByTestId } = render(
+			<FocusScope autoFocus={false}>
+				<Item data-testid="item1" wrap />
+				<Item data-testid="item2" wrap />
+				<Item data-testid="item3" wrap />
+			</FocusScope>,
+		);
+
+		let item1 = getByTestId('item1');
+		let item3 = getByTestId('item3');
+
+		act(() => {
+			item3.focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item1);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(item3);
+	});
+
+	it('should move focus to the first and last element', async () => {
+		let { getByTestId } = render(
+			<FocusScope autoFocus={false}>
+				<Item data-testid="item1" />
+				<Item data-testid="item2" />
+				<Item data-testid="item3" />
+			</FocusScope>,
+		);
+
+		let item1 = getByTestId('item1');
+		let item2 = getByTestId('item2');
+		let item3 = getByTestId('item3');
+
+		act(() => {
+			item2.focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'End' });
+		expect(document.activeElement).toBe(item3);
+
+		fireEvent.keyDown(document.activeElement, { key: 'Home' });
+		expect(document.activeElement).toBe(item1);
+	});
+
+	it('should only move between tabbable elements if `tabbable` is set', async () => {
+		function Toolbar() {
+			let focusManager = useFocusManager();
+			return (
+				<>
+					<button data-testid="button1" />
+					<div data-testid="div" tabIndex={-1} />
+					<button
+						data-testid="button2"
+						onClick={() => focusManager.focusPrevious({ tabbable: true })}
+					/>
+				</>
+			);
+		}
+
+		let { getByTestId } = render(
+			<FocusScope>
+				<Toolbar />
+			</FocusScope>,
+		);
+
+		let button1 = getByTestId('button1');
+		let button2 = getByTestId('button2');
+
+		act(() => {
+			button2.focus();
+		});
+		fireEvent.click(button2);
+		expect(document.activeElement).toBe(button1);
+	});
+
+	it('should use the `from` option as the starting point', async () => {
+		function Toolbar() {
+			let focusManager = useFocusManager();
+			let ref = React.useRef();
+			return (
+				<>
+					<button data-testid="button1" ref={ref} />
+					<button data-testid="button2" />
+					<button
+						data-testid="button3"
+						onClick={() => focusManager.focusNext({ from: ref.current })}
+					/>
+				</>
+			);
+		}
+
+		let { getByTestId } = render(
+			<FocusScope>
+				<Toolbar />
+			</FocusScope>,
+		);
+
+		let button3 = getByTestId('button3');
+		act(() => {
+			button3.focus();
+		});
+		fireEvent.click(button3);
+		expect(document.activeElement).toBe(getByTestId('button2'));
+	});
+
+	it('should return undefined outside of a FocusScope', () => {
+		let focusManager;
+		function Comp() {
+			focusManager = useFocusManager();
+			return null;
+		}
+		render(<Comp />);
+		expect(focusManager).toBeUndefined();
+	});
+});
+
+describe('useRovingFocus', () => {
+	function Toolbar({ children, ...opts }) {
+		let ref = React.useRef();
+		useRovingFocus(ref, opts);
+		return (
+			<div role="toolbar" ref={ref}>
+				{children}
+			</div>
+		);
+	}
+
+	it('should only make the active item tabbable', async () => {
+		const { getByTestId } = render(
+			<>
+				<button data-testid="before" />
+				<Toolbar>
+					<button data-testid="item1" />
+					<button data-testid="item2" />
+					<button data-testid="item3" />
+				</Toolbar>
+				<button data-testid="after" />
+			</>,
+		);
+
+		const item1 = getByTestId('item1');
+		const item2 = getByTestId('item2');
+		const item3 = getByTestId('item3');
+		expect(item1).toHaveAttribute('tabindex', '0');
+		expect(item2).toHaveAttribute('tabindex', '-1');
+		expect(item3).toHaveAttribute('tabindex', '-1');
+
+		act(() => {
+			getByTestId('before').focus();
+		});
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(item1);
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(getByTestId('after'));
+	});
+
+	it('should move focus with the arrow keys matching the orientation', async () => {
+		const { getByTestId } = render(
+			<Toolbar>
+				<button data-testid="item1" />
+				<button data-testid="item2" />
+				<button data-testid="item3" />
+			</Toolbar>,
+		);
+
+		const item1 = getByTestId('item1');
+		const item2 = getByTestId('item2');
+		const item3 = getByTestId('item3');
+
+		act(() => {
+			item1.focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item2);
+		expect(item2).toHaveAttribute('tabindex', '0');
+		expect(item1).toHaveAttribute('tabindex', '-1');
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+		expect(document.activeElement).toBe(item2);
+
+		fireEvent.keyDown(document.activeElement, { key: 'End' });
+		expect(document.activeElement).toBe(item3);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item3);
+
+		fireEvent.keyDown(document.activeElement, { key: 'Home' });
+		expect(document.activeElement).toBe(item1);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(item1);
+	});
+
+	it('should support vertical orientation and wrapping', async () => {
+		const { getByTestId } = render(
+			<Toolbar orientation="vertical" wrap>
+				<button data-testid="item1" />
+				<button data-testid="item2" />
+			</Toolbar>,
+		);
+
+		const item1 = getByTestId('item1');
+		const item2 = getByTestId('item2');
+
+		act(() => {
+			item1.focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item1);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowUp' });
+		expect(document.activeElement).toBe(item2);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+		expect(document.activeElement).toBe(item1);
+	});
+
+	it('should flip horizontal arrow keys in RTL', async () => {
+		const { getByTestId } = render(
+			<div dir="rtl">
+				<Toolbar>
+					<button data-testid="item1" />
+					<button data-testid="item2" />
+				</Toolbar>
+			</div>,
+		);
+
+		const item1 = getByTestId('item1');
+		const item2 = getByTestId('item2');
+
+		act(() => {
+			item1.focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(item2);
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(item1);
+	});
+
+	it('should remember the last active item when focus comes back', async () => {
+		const { getByTestId } = render(
+			<>
+				<button data-testid="before" />
+				<Toolbar>
+					<button data-testid="item1" />
+					<button data-testid="item2" />
+					<button data-testid="item3" />
+				</Toolbar>
+			</>,
+		);
+
+		act(() => {
+			getByTestId('item2').focus();
+		});
+		expect(getByTestId('item2')).toHaveAttribute('tabindex', '0');
+
+		act(() => {
+			getByTestId('before').focus();
+		});
+
+		await userEvent.tab();
+		expect(document.activeElement).toBe(getByTestId('item2'));
+	});
+});
+
+describe('useGridNavigation', () => {
+	function Grid({ children, ...opts }) {
+		let ref = React.useRef();
+		useGridNavigation(ref, opts);
+		return (
+			<div role="grid" ref={ref}>
+				{children}
+			</div>
+		);
+	}
+
+	function Row({ cells, ...props }) {
+		return (
+			<div role="row" {...props}>
+				{cells.map((cell, index) =>
+					cell ? (
+						<div key={index} role="gridcell" tabIndex={-1} data-testid={cell} />
+					) : (
+						<div key={index} role="gridcell">
+							<button disabled />
+						</div>
+					),
+				)}
+			</div>
+		);
+	}
+
+	it('should move focus in two dimensions', async () => {
+		const { getByTestId } = render(
+			<Grid>
+				<Row cells={['a1', 'a2', 'a3']} />
+				<Row cells={['b1', 'b2', 'b3']} />
+				<Row cells={['c1', 'c2', 'c3']} />
+			</Grid>,
+		);
+
+		expect(getByTestId('a1')).toHaveAttribute('tabindex', '0');
+		expect(getByTestId('b2')).toHaveAttribute('tabindex', '-1');
+
+		act(() => {
+			getByTestId('a1').focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(getByTestId('a2'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+		expect(document.activeElement).toBe(getByTestId('b2'));
+		expect(getByTestId('b2')).toHaveAttribute('tabindex', '0');
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(getByTestId('b1'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowUp' });
+		expect(document.activeElement).toBe(getByTestId('a1'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowUp' });
+		expect(document.activeElement).toBe(getByTestId('a1'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'End' });
+		expect(document.activeElement).toBe(getByTestId('a3'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'Home' });
+		expect(document.activeElement).toBe(getByTestId('a1'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'End', ctrlKey: true });
+		expect(document.activeElement).toBe(getByTestId('c3'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'Home', ctrlKey: true });
+		expect(document.activeElement).toBe(getByTestId('a1'));
+	});
+
+	it('should move focus by pages', async () => {
+		const { getByTestId } = render(
+			<Grid pageSize={2}>
+				<Row cells={['a1', 'a2']} />
+				<Row cells={['b1', 'b2']} />
+				<Row cells={['c1', 'c2']} />
+				<Row cells={['d1', 'd2']} />
+			</Grid>,
+		);
+
+		act(() => {
+			getByTestId('a2').focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'PageDown' });
+		expect(document.activeElement).toBe(getByTestId('c2'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'PageDown' });
+		expect(document.activeElement).toBe(getByTestId('d2'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'PageUp' });
+		expect(document.activeElement).toBe(getByTestId('b2'));
+	});
+
+	it('should skip hidden and disabled cells', async () => {
+		const { getByTestId } = render(
+			<Grid>
+				<Row cells={['a1', 'a2', 'a3']} />
+				<Row cells={['b1', 'b2', 'b3']} hidden />
+				<Row cells={['c1', null, 'c3']} />
+			</Grid>,
+		);
+
+		act(() => {
+			getByTestId('a1').focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+		expect(document.activeElement).toBe(getByTestId('c1'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(getByTestId('c3'));
+	});
+
+	it('should derive the grid from bounding boxes', async () => {
+		function Cell({ top, left }) {
+			let ref = React.useCallback(
+				node => {
+					if (node) {
+						node.getBoundingClientRect = () => ({
+							top,
+							left,
+							bottom: top + 10,
+							right: left + 10,
+							width: 10,
+							height: 10,
+						});
+					}
+				},
+				[top, left],
+			);
+			return <button ref={ref} data-testid={`${top}-${left}`} />;
+		}
+
+		const { getByTestId } = render(
+			<Grid>
+				<Cell top={0} left={20} />
+				<Cell top={0} left={0} />
+				<Cell top={12} left={0} />
+				<Cell top={12} left={18} />
+			</Grid>,
+		);
+
+		act(() => {
+			getByTestId('0-0').focus();
+		});
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+		expect(document.activeElement).toBe(getByTestId('0-20'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+		expect(document.activeElement).toBe(getByTestId('12-18'));
+
+		fireEvent.keyDown(document.activeElement, { key: 'ArrowLeft' });
+		expect(document.activeElement).toBe(getByTestId('12-0'));
+	});
+});
+
+describe('useFocusWithin', () => {
+	let callbacks;
+	beforeEach(() => {
+		callbacks = [];
+		jest
+			.spyOn(window, 'requestAnimationFrame')
+			.mockImplementation(cb => callbacks.push(cb));
+	});
+
+	afterEach(() => {
+		window.requestAnimationFrame.mockRestore();
+	});
+
+	function flushAnimationFrames() {
+		act(() => {
+			while (callbacks.length > 0) callbacks.shift()();
+		});
+	}
+
+	function Status({ onFocusWithinChange }) {
+		let { isFocusWithin } = useFocusWithin({ onFocusWithinChange });
+		return <div data-testid="status">{String(isFocusWithin)}</div>;
+	}
+
+	it('should track whether focus is inside of the scope', async () => {
+		let onScopeChange = jest.fn();
+		let onHookChange = jest.fn();
+		const { getByTestId } = render(
+			<>
+				<input data-testid="outside" />
+				<FocusScope
+					contain={false}
+					autoFocus={false}
+					restoreFocus={false}
+					onFocusWithinChange={onScopeChange}
+				>
+					<input data-testid="input1" />
+					<Status onFocusWithinChange={onHookChange} />
+				</FocusScope>
+			</>,
+		);
+
+		let status = getByTestId('status');
+		expect(status).toHaveTextContent('false');
+
+		act(() => {
+			getByTestId('input1').focus();
+		});
+		expect(status).toHaveTextContent('true');
+
+		act(() => {
+			getByTestId('outside').focus();
+		});
+		expect(status).toHaveTextContent('true');
+
+		flushAnimationFrames();
+		expect(status).toHaveTextContent('false');
+		expect(onScopeChange.mock.calls).toEqual([[true], [false]]);
+		expect(onHookChange.mock.calls).toEqual([[true], [false]]);
+	});
+
+	it('should count focus inside of portaled child scopes', async () => {
+		const { getByTestId } = render(
+			<FocusScope contain={false} autoFocus={false} restoreFocus={false}>
+				<input data-testid="input1" />
+				<Status />
+				{createPortal(
+					<FocusScope contain={false} autoFocus={false}>
+						<input data-testid="input2" />
+					</FocusScope>,
+					document.body,
+				)}
+			</FocusScope>,
+		);
+
+		act(() => {
+			getByTestId('input1').focus();
+		});
+		act(() => {
+			getByTestId('input2').focus();
+		});
+		flushAnimationFrames();
+		expect(getByTestId('status')).toHaveTextContent('true');
+	});
+
+	it('should ignore focus that a contained scope pulls back', async () => {
+		let onFocusWithinChange = jest.fn();
+		const { getByTestId } = render(
+			<>
+				<input data-testid="outside" />
+				<FocusScope onFocusWithinChange={onFocusWithinChange}>
+					<input data-testid="input1" />
+				</FocusScope>
+			</>,
+		);
+
+		let input1 = getByTestId('input1');
+		flushAnimationFrames();
+		expect(document.activeElement).toBe(input1);
+
+		act(() => {
+			getByTestId('outside').focus();
+		});
+		flushAnimationFrames();
+
+		expect(document.activeElement).toBe(input1);
+		expect(onFocusWithinChange.mock.calls).toEqual([[true]]);
+	});
+
+	it('should not re-render focus manager consumers when focus enters or leaves', async () => {
+		let renders = 0;
+		function Item() {
+			useFocusManager();
+			renders++;
+			return <input data-testid="input1" />;
+		}
+
+		const { getByTestId } = render(
+			<>
+				<input data-testid="outside" />
+				<FocusScope contain={false} autoFocus={false} restoreFocus={false}>
+					<Item />
+					<Status />
+				</FocusScope>
+			</>,
+		);
+
+		let status = getByTestId('status');
+		renders = 0;
+		act(() => {
+			getByTestId('input1').focus();
+		});
+		expect(status).toHaveTextContent('true');
+
+		act(() => {
+			getByTestId('outside').focus();
+		});
+		flushAnimationFrames();
+		expect(status).toHaveTextContent('false');
+		expect(renders).toBe(0);
+	});
+});
+
+describe('useFocusVisible', () => {
+	function Comp() {
+		let { isFocusVisible } = useFocusVisible();
+		return <div data-testid="status">{String(isFocusVisible)}</div>;
+	}
+
+	it('should track the input modality', async () => {
+		const { getByTestId } = render(<Comp />);
+		let status = getByTestId('status');
+
+		fireEvent.mouseDown(document.body);
+		expect(status).toHaveTextContent('false');
+		expect(isFocusVisible()).toBe(false);
+
+		fireEvent.keyDown(document.body, { key: 'Shift' });
+		expect(status).toHaveTextContent('false');
+
+		fireEvent.keyDown(document.body, { key: 'Tab' });
+		expect(status).toHaveTextContent('true');
+		expect(isFocusVisible()).toBe(true);
+
+		fireEvent.pointerDown(document.body);
+		expect(status).toHaveTextContent('false');
+
+		fireEvent.click(document.body, { detail: 0 });
+		expect(status).toHaveTextContent('true');
+	});
+
+	it('should keep tracking the input modality after unmounting', async () => {
+		const { unmount } = render(<Comp />);
+		unmount();
+
+		fireEvent.mouseDown(document.body);
+		expect(isFocusVisible()).toBe(false);
+
+		fireEvent.keyDown(document.body, { key: 'Tab' });
+		expect(isFocusVisible()).toBe(true);
+	});
+
+	it('should track the input modality in the document of the ref', async () => {
+		let iframe = document.createElement('iframe');
+		document.body.appendChild(iframe);
+		let iframeDocument = iframe.contentDocument;
+		let container = iframeDocument.createElement('div');
+		iframeDocument.body.appendChild(container);
+
+		function RefComp() {
+			let ref = React.useRef(null);
+			let { isFocusVisible } = useFocusVisible(ref);
+			return (
+				<div ref={ref} data-testid="status">
+					{String(isFocusVisible)}
+				</div>
+			);
+		}
+
+		const { getByTestId, unmount } = render(<RefComp />, {
+			container,
+			baseElement: iframeDocument.body,
+		});
+		let status = getByTestId('status');
+
+		fireEvent.mouseDown(iframeDocument.body);
+		expect(status).toHaveTextContent('false');
+
+		fireEvent.keyDown(iframeDocument.body, { key: 'Tab' });
+		expect(status).toHaveTextContent('true');
+
+		unmount();
+		iframe.remove();
+	});
+});
+
+describe('getFocusableTreeWalker', () => {
+	it('should return a native TreeWalker without shadow roots', async () => {
+		const { getByTestId } = render(
+			<div data-testid="root">
+				<input data-testid="input1" />
+				<div>
+					<input data-testid="input2" />
+				</div>
+			</div>,
+		);
+
+		let walker = getFocusableTreeWalker(getByTestId('root'));
+		expect(walker).toBeInstanceOf(TreeWalker);
+		expect(walker.nextNode()).toBe(getByTestId('input1'));
+		expect(walker.parentNode()).toBeNull();
+		expect(walker.nextNode()).toBe(getByTestId('input2'));
+	});
+
+	it('should walk the composed tree with shadow roots', async () => {
+		const { getByTestId } = render(
+			<div data-testid="root">
+				<input data-testid="input1" />
+				<div data-testid="host" />
+			</div>,
+		);
+		let shadowRoot = getByTestId('host').attachShadow({ mode: 'open' });
+		shadowRoot.innerHTML = '<input id="inner">';
+
+		let walker = getFocusableTreeWalker(getByTestId('root'));
+		expect(walker).not.toBeInstanceOf(TreeWalker);
+		expect(walker.nextNode()).toBe(getByTestId('input1'));
+		expect(walker.nextNode()).toBe(shadowRoot.getElementById('inner'));
+		expect(walker.nextNode()).toBeNull();
+	});
 });
@@ -1,9 +1,9 @@
 import * as React from 'react';
-import { render as tlRender, fireEvent } from '@testing-library/react';
+import { render as tlRender, cleanup, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { act } from 'react-dom/test-utils';
 
-export { act, fireEvent, userEvent }
+export { act, cleanup, fireEvent, userEvent }
 
 /**
  * render
@@ -14,6 +14,7 @@ export { act, fireEvent, userEvent }
  export function render(element, options = {}) {
 	const {
 		baseElement,
+		container,
 		strict = false,
 		// eslint-disable-next-line no-unused-vars
 		wrapper: InnerWrapper = React.Fragment,
@@ -30,6 +31,7 @@ export { act, fireEvent, userEvent }
 
 	const result = tlRender(element, {
 		baseElement,
+		container,
 		wrapper: Wrapper,
 	});
 
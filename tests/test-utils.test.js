@@ -0,0 +1,225 @@
+import * as React from 'react';
+import { act, render, userEvent } from './test-utils';
+
+import {
+	FocusScope,
+	getFocusHistory,
+	pushFocusHistory,
+	setFocusScopeDebug,
+} from '../src/index';
+import {
+	expectFocusContained,
+	expectFocusRestoredTo,
+	getTabOrder,
+	resetFocusScopes,
+	tabThrough,
+} from '../src/test-utils';
+
+describe('test-utils', () => {
+	afterEach(() => {
+		resetFocusScopes();
+	});
+
+	describe('getTabOrder', () => {
+		it('should return the tabbable elements in tab order', () => {
+			const { getByTestId, container } = render(
+				<div>
+					<input data-testid="input1" />
+					<input data-testid="input2" tabIndex={2} />
+					<input data-testid="input3" tabIndex={-1} />
+					<input data-testid="input4" tabIndex={1} />
+					<input data-testid="input5" disabled />
+				</div>,
+			);
+
+			expect(getTabOrder(container)).toEqual([
+				getByTestId('input4'),
+				getByTestId('input2'),
+				getByTestId('input1'),
+			]);
+		});
+
+		it('should match the order of user-event', async () => {
+			const { container } = render(
+				<div>
+					<input data-testid="input1" tabIndex={3} />
+					<button data-testid="button1">Button</button>
+					<input data-testid="input2" tabIndex={1} />
+				</div>,
+			);
+
+			const focused = [];
+			for (let i = 0; i < 3; i++) {
+				await userEvent.tab();
+				focused.push(document.activeElement);
+			}
+			expect(getTabOrder(container)).toEqual(focused);
+		});
+	});
+
+	describe('tabThrough', () => {
+		it('should move focus in tab order outside of scopes', () => {
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+					<input data-testid="input3" />
+				</div>,
+			);
+
+			act(() => getByTestId('input1').focus());
+			expect(tabThrough(2)).toEqual([
+				getByTestId('input2'),
+				getByTestId('input3'),
+			]);
+			expect(tabThrough(1, { shiftKey: true })).toEqual([
+				getByTestId('input2'),
+			]);
+		});
+
+		it('should let contained scopes handle Tab', () => {
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="before" />
+					<FocusScope>
+						<input data-testid="input1" />
+						<input data-testid="input2" />
+					</FocusScope>
+					<input data-testid="after" />
+				</div>,
+			);
+
+			act(() => getByTestId('input1').focus());
+			expect(tabThrough(3)).toEqual([
+				getByTestId('input2'),
+				getByTestId('input1'),
+				getByTestId('input2'),
+			]);
+		});
+	});
+
+	describe('expectFocusContained', () => {
+		it('should pass for a contained scope', () => {
+			const ref = React.createRef();
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="before" />
+					<FocusScope ref={ref}>
+						<div data-testid="scope">
+							<input data-testid="input1" />
+							<input data-testid="input2" />
+						</div>
+					</FocusScope>
+					<input data-testid="after" />
+				</div>,
+			);
+
+			act(() => getByTestId('input1').focus());
+			expect(() => expectFocusContained(getByTestId('scope'))).not.toThrow();
+			expect(() => expectFocusContained(ref.current)).not.toThrow();
+		});
+
+		it('should throw if focus leaves the scope', () => {
+			const { getByTestId } = render(
+				<div>
+					<FocusScope contain={false} autoFocus={false}>
+						<div data-testid="scope">
+							<input data-testid="input1" />
+							<input data-testid="input2" />
+						</div>
+					</FocusScope>
+					<input data-testid="after" />
+				</div>,
+			);
+
+			act(() => getByTestId('input1').focus());
+			expect(() => expectFocusContained(getByTestId('scope'))).toThrow(
+				'Expected focus to stay inside of the scope, but Tab moved it to <input data-testid="after">.',
+			);
+		});
+
+		it('should throw if focus is outside of the scope', () => {
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="before" />
+					<FocusScope contain={false}>
+						<div data-testid="scope">
+							<input data-testid="input1" />
+						</div>
+					</FocusScope>
+				</div>,
+			);
+
+			act(() => getByTestId('before').focus());
+			expect(() => expectFocusContained(getByTestId('scope'))).toThrow(
+				'Expected focus to be inside of the scope, but it is on <input data-testid="before">.',
+			);
+		});
+	});
+
+	describe('expectFocusRestoredTo', () => {
+		it('should pass once focus was restored', async () => {
+			function Test({ show }) {
+				return (
+					<div>
+						<input data-testid="trigger" />
+						{show && (
+							<FocusScope>
+								<input data-testid="input1" />
+							</FocusScope>
+						)}
+					</div>
+				);
+			}
+
+			const { getByTestId, rerender } = render(<Test />);
+			act(() => getByTestId('trigger').focus());
+			rerender(<Test show />);
+			expect(document.activeElement).toBe(getByTestId('input1'));
+
+			rerender(<Test />);
+			await expectFocusRestoredTo(getByTestId('trigger'));
+		});
+
+		it('should throw if focus is elsewhere', async () => {
+			const { getByTestId } = render(
+				<div>
+					<input data-testid="input1" />
+					<input data-testid="input2" />
+				</div>,
+			);
+
+			act(() => getByTestId('input2').focus());
+			await expect(
+				expectFocusRestoredTo(getByTestId('input1')),
+			).rejects.toThrow(
+				'Expected focus to be restored to <input data-testid="input1">, but it is on <input data-testid="input2">.',
+			);
+		});
+	});
+
+	describe('resetFocusScopes', () => {
+		it('should reset the state shared between scopes', () => {
+			const { getByTestId, unmount } = render(
+				<div>
+					<input data-testid="outside" />
+					<FocusScope hideOutside>
+						<input data-testid="input1" />
+					</FocusScope>
+				</div>,
+			);
+			const outside = getByTestId('outside');
+			pushFocusHistory(outside);
+			act(() => setFocusScopeDebug(true));
+			expect(outside).toHaveAttribute('aria-hidden', 'true');
+
+			// NOTE(joel): Simulate a test that left a scope behind.
+			resetFocusScopes();
+
+			expect(getFocusHistory()).toEqual([]);
+			expect(outside).not.toHaveAttribute('aria-hidden');
+			expect(document.querySelector('[data-focus-scope-debug]')).toBeNull();
+			unmount();
+		});
+	});
+});